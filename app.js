@@ -17,7 +17,7 @@ function fmtMoney(x){
   return `${sign}$${v.toLocaleString(undefined,{maximumFractionDigits:0})}`;
 }
 function escapeHtml(s){
-  return (s||"").replaceAll("&","&amp;").replaceAll("<","&lt;").replaceAll(">","&gt;");
+  return String(s||"").replaceAll("&","&amp;").replaceAll("<","&lt;").replaceAll(">","&gt;").replaceAll('"',"&quot;");
 }
 function showErr(msg){ const e=document.getElementById("errbar"); e.style.display="block"; e.innerHTML = msg; }
 function clearErr(){ const e=document.getElementById("errbar"); e.style.display="none"; e.innerHTML = ""; }
@@ -27,28 +27,138 @@ function showOk(msg){ const o=document.getElementById("okbar"); o.style.display=
 // State
 // ------------------------------
 const state = {
-  docs: [], // {name,type,pages,textByPage[]}
-  evidence: [], // {disparity, snippet, doc, page}
-  findings: [], // Tier1: {id,key,disparity,segment,magnitude,prominence,concentration,score,recommend,evidenceRef}
+  docs: [], // {name,type,pages,textByPage[],tablesByPage[],ocrByPage[],headingsByPage[] (heading lines per page),pdfData (PDF bytes for the source viewer),cycle}
+  evidence: [], // {disparity, snippet, doc, page, source, ocrConfidence, confidence, reason, trigger{lang,kind,term,matched}, lowConfidence}
+  findings: [], // Tier1 (current cycle, analyst-reviewed only): {id,key,disparity,segment,magnitude,prominence,concentration,score,recommend,evidenceRef,snippet,trigger,source,n,ci,suppressed,reliability,significance{method,z,p,significant,note},population{value,source,ref},affected,trend,benchmark,review,reviewNote,reviewedBy}
   opportunities: [], // Tier2: {opp,kind,tests,criterion,strength,score,scope,checklist}
   selectedOpp: null,
   transport: {overall:null, age6574:null},
   chnaEval: [], // per-doc CHNA/IS documentation + community input requirement checks
+  populations: {extracted:{}, manual:{}}, // segment label ("Overall" = service area) -> extracted {value,doc,page,snippet} / analyst-entered count
+  materiality: null, // {active, profiles{name: weights}} (loaded from localStorage at startup), see MATERIALITY_DEFAULTS
+  calendar: null, // 501(r) calendar settings (loaded from localStorage at startup), see CALENDAR_DEFAULTS
+  linkage: null, // {needs:[{key,label,doc,page,status,actions[],rationales[],tier1,tier2}], actions[], chnaDocs[], isDocs[]}
+  structured: [], // imported survey-table rows: {key,indicator,segment,value,n,page,doc,row,snippet,cycle}
+  cycleFindings: {}, // CHNA cycle year -> findings scanned from that cycle's sources (current cycle included)
+  trends: [], // per indicator × segment: {id,key,disparity,segment,values{year:pct},from,to,change,direction}
+  benchmarks: [], // reference values: {key,indicator,segment,state,national,doc,row}
+  ruleSet: "occ", // CRA_RULE_SETS key (loaded from localStorage at startup)
+  benLog: null, // Tier 3 beneficiary log {file, table}; counts are recomputed against the current geography files
+  geo: {aa:[], tracts:{}, zips:{}, files:{}}, // assessment area [{type:"county"|"tract",id}], tract GEOID -> {level,county,pop}, ZIP -> [{tract,ratio}]
+  candidates: [], // every extracted current-cycle finding, with its review status; state.findings holds the reviewed subset
+  reviews: {}, // extracted finding id -> {status:"accepted"|"rejected"|"edited", value, segment, extracted, note, by, at}
+  manualFindings: [], // analyst-entered: {id,key,segment,value,note,by,at}
+  reviewLog: [], // append-only: {at,by,action,finding,change,note}
+  reviewsDemo: false, // demo reviews are not persisted (see saveReviews)
+  useBenchmarkGap: true, // include gap-to-benchmark as a materiality component
   model: null // Tier 3 scenario cache for draft generator
 };
 
-// Disparities list (includes transportation explicitly)
-const DISPARITIES = [
-  {key:"transport", label:"Transportation barrier", keywords:["transportation","transit"], metric:"% reporting transportation problems"},
-  {key:"access", label:"Access to care barrier", keywords:["could not get an appointment","delayed care"], metric:"% delaying needed care"},
-  {key:"food", label:"Food insecurity", keywords:["food insecurity","food shelf"], metric:"% reporting food insecurity"},
-  {key:"housing", label:"Housing need", keywords:["housing needs","housing"], metric:"% reporting housing needs"},
-  {key:"financial", label:"Financial need", keywords:["financial needs","cost too much"], metric:"% reporting financial needs"}
+// Disparities taxonomy (includes transportation explicitly).
+// opp: CRA opportunity template this indicator feeds (see OPPORTUNITY_TEMPLATES), or "" for none.
+// amplify: subgroup amplification bonus in computeMateriality (highest segment vs overall).
+// Users edit the taxonomy in the Assessment view; the edited list is saved in localStorage.
+const DEFAULT_DISPARITIES = [
+  {key:"transport", label:"Transportation barrier", keywords:["transportation","transit"], metric:"% reporting transportation problems", opp:"nmt", amplify:true},
+  {key:"access", label:"Access to care barrier", keywords:["could not get an appointment","delayed care"], metric:"% delaying needed care", opp:"care", amplify:false},
+  {key:"food", label:"Food insecurity", keywords:["food insecurity","food shelf"], metric:"% reporting food insecurity", opp:"food", amplify:false},
+  {key:"housing", label:"Housing need", keywords:["housing needs","housing"], metric:"% reporting housing needs", opp:"housing", amplify:false},
+  {key:"financial", label:"Financial need", keywords:["financial needs","cost too much"], metric:"% reporting financial needs", opp:"financial", amplify:false}
 ];
+const TAXONOMY_STORAGE_KEY = "chna_cra_taxonomy_v2";
+// v1 lists were saved before housing and financial need fed an opportunity, so their empty "opp" was the
+// old default rather than a choice; they are read once with built-in keys filled from the current defaults
+const TAXONOMY_LEGACY_KEY = "chna_cra_taxonomy_v1";
 
-// CRA criteria mapping (explicit criterion satisfied)
-// Note: This is written in a regulator-friendly way, citing the OCC illustrative list structure (Topic L — community support services).
+function loadTaxonomy(){
+  const valid = (saved)=>Array.isArray(saved) && saved.length && saved.every(d=>d && d.key && d.label && Array.isArray(d.keywords) && d.keywords.length);
+  try{
+    const saved = JSON.parse(localStorage.getItem(TAXONOMY_STORAGE_KEY) || "null");
+    if(valid(saved)) return saved;
+    const legacy = JSON.parse(localStorage.getItem(TAXONOMY_LEGACY_KEY) || "null");
+    if(valid(legacy)){
+      return legacy.map(d=>{
+        const def = DEFAULT_DISPARITIES.find(x=>x.key===d.key);
+        return (def && !d.opp) ? {...d, opp:def.opp} : d;
+      });
+    }
+  }catch(e){
+    console.error(e);
+  }
+  return DEFAULT_DISPARITIES.map(d=>({...d, keywords:d.keywords.slice()}));
+}
+let DISPARITIES = loadTaxonomy();
+
+// CRA rule sets: the regulator and rule generation decide the criterion wording, citations, test names
+// and the extra packet items. The selected set (saved in this browser) drives Tier 2, Tier 3 and drafts.
+const RULESET_STORAGE_KEY = "chna_cra_ruleset_v1";
+const CRA_RULE_SETS = {
+  occ: {
+    label:"OCC — 12 CFR part 25 (qualifying activities list)",
+    checklist:["Qualifying-activities list match (12 CFR 25.04), or an OCC confirmation request (25.05) for an unlisted activity"]
+  },
+  fdic: {
+    label:"FDIC — 12 CFR part 345 (state non-member banks, legacy rule)",
+    checklist:["Primary-purpose support: majority of dollars or beneficiaries LMI, or express bona fide intent (12 CFR 345.12(g))",
+      "Assessment area or broader statewide/regional area benefit (12 CFR 345.12(h)(2))"]
+  },
+  frb: {
+    label:"Federal Reserve — 12 CFR part 228, Regulation BB (state member banks, legacy rule)",
+    checklist:["Primary-purpose support: majority of dollars or beneficiaries LMI, or express bona fide intent (12 CFR 228.12(g))",
+      "Assessment area or broader statewide/regional area benefit (12 CFR 228.12(h)(2))"]
+  },
+  interagency: {
+    label:"Interagency final rule (2023) — 12 CFR parts 25, 228 and 345",
+    checklist:["Community development definition met under §__.13, with the majority-benefit or full/partial credit basis (§__.13(a))",
+      "Impact and responsiveness review factors documented (§__.15), e.g., benefits low-income individuals or persistent poverty areas",
+      "Facility-based assessment area allocation of CD financing dollars or service hours",
+      "Confirm the rule's applicability date and current status for the bank before filing"]
+  }
+};
+
+// Legacy (1995) framework criteria for FDIC (part 345) and Federal Reserve (part 228) banks, under the
+// large-bank Lending / Investment / Service tests. A CD service must relate to financial services, so
+// health and food supports count as grants (qualified investments) or CD loans rather than services.
+function legacyCriteria(part){
+  const cd = `12 CFR ${part}.12(g)`, svc = `12 CFR ${part}.12(i)`;
+  return {
+    nmt: {
+      criterion: "Community development — community services targeted to low- or moderate-income (LMI) individuals: transportation to medical treatment.",
+      cite: `${cd}(2) (community services targeted to LMI individuals); grant or investment as a qualified investment (12 CFR ${part}.12(t)).`,
+      tests: "Investment (grants/donations) • CD Loans (as structured)"
+    },
+    food: {
+      criterion: "Community development — community services targeted to LMI individuals: food access support (when structured for LMI populations).",
+      cite: `${cd}(2) (community services targeted to LMI individuals); qualified investment (grant/donation) under 12 CFR ${part}.12(t).`,
+      tests: "Investment (grants/donations) • CD Loans (as structured)"
+    },
+    care: {
+      criterion: "Community development — community services targeted to LMI individuals: health services and navigation that improve access to care.",
+      cite: `${cd}(2) (community services targeted to LMI individuals); qualified investment (12 CFR ${part}.12(t)).`,
+      tests: "Investment (grants/donations) • CD Loans (as structured)"
+    },
+    housing: {
+      criterion: "Community development — affordable housing (including multifamily rental housing) for LMI individuals, through CD loans and qualified investments.",
+      cite: `${cd}(1) (affordable housing); CD loans 12 CFR ${part}.12(h); qualified investments 12 CFR ${part}.12(t).`,
+      tests: "Lending (CD loans) • Investment"
+    },
+    financial: {
+      criterion: "Community development service — financial services expertise for LMI individuals: credit and debt counseling, financial education, including medical-debt counseling.",
+      cite: `${svc} (community development service related to the provision of financial services); ${cd}(2); relief funding as a qualified investment (12 CFR ${part}.12(t)).`,
+      tests: "Service (financial expertise) • Investment (relief grants)"
+    },
+    smalldollar: {
+      criterion: "Retail lending — responsive small-dollar consumer loans on safe and sound terms for LMI borrowers (e.g., medical-expense or emergency loans).",
+      cite: `Lending test: 12 CFR ${part}.22(a)(1) (consumer lending evaluated at the bank's option, or when a substantial majority of its business); Interagency Lending Principles for Offering Responsible Small-Dollar Loans (May 2020).`,
+      tests: "Lending (retail consumer)"
+    }
+  };
+}
+
+// Criterion, citation and (where the test structure differs from the templates) test names per rule set
+// Note: the OCC set cites the OCC illustrative list structure (Topic L — community support services).
 const CRA_CRITERIA = {
+ occ: {
   nmt: {
     criterion: "Community development services / community support services targeted to low- or moderate-income (LMI) individuals — transportation to medical treatments.",
     cite: "Qualifying Activities: 12 CFR 25.04(c)(3) Topic L (Community support services) — example: transportation to medical treatments for LMI individuals."
@@ -60,60 +170,956 @@ const CRA_CRITERIA = {
   care: {
     criterion: "Community development services targeted to LMI individuals — health services / community services that improve access (depending on structure and beneficiaries).",
     cite: "Qualifying Activities: 12 CFR 25.04(c)(3) Topic L (Community support services) — health/community services for LMI individuals (structure matters)."
+  },
+  housing: {
+    criterion: "Affordable housing for low- or moderate-income individuals — community development loans and qualified investments (e.g., LMI-restricted rental, supportive or transitional housing).",
+    cite: "Qualifying Activities: 12 CFR 25.04(c)(1) (Affordable housing) — e.g., LIHTC equity, CD loans for rental housing with rents affordable to LMI individuals."
+  },
+  financial: {
+    criterion: "Community development services / community support services targeted to LMI individuals — financial counseling, credit and debt counseling, including medical-debt counseling and relief.",
+    cite: "Qualifying Activities: 12 CFR 25.04(c)(3) Topic L (Community support services) — financial literacy and credit/debt counseling for LMI individuals; relief funding as a qualified donation (structure matters)."
+  },
+  smalldollar: {
+    criterion: "Retail lending — responsive small-dollar consumer loans on safe and sound terms for LMI borrowers (e.g., medical-expense or emergency loans).",
+    cite: "Lending test: 12 CFR 25.22; Interagency Lending Principles for Offering Responsible Small-Dollar Loans (May 2020) — responsive small-dollar lending may receive favorable CRA consideration."
+  }
+ },
+ fdic: legacyCriteria("345"),
+ frb: legacyCriteria("228"),
+ interagency: {
+  nmt: {
+    criterion: "Community supportive services — activities that assist in providing community supportive services serving or assisting low- or moderate-income (LMI) individuals: transportation to health care.",
+    cite: "12 CFR __.13(d) (community supportive services).",
+    tests: "Community Development Financing Test (grants, loans, investments)"
+  },
+  food: {
+    criterion: "Community supportive services serving or assisting LMI individuals — food access supports (food banks, pantries, meal programs).",
+    cite: "12 CFR __.13(d) (community supportive services).",
+    tests: "Community Development Financing Test (grants, loans, investments)"
+  },
+  care: {
+    criterion: "Community supportive services serving or assisting LMI individuals — health services and care navigation.",
+    cite: "12 CFR __.13(d) (community supportive services).",
+    tests: "Community Development Financing Test (grants, loans, investments)"
+  },
+  housing: {
+    criterion: "Affordable housing — rental housing for LMI individuals in conjunction with a government affordable housing program, or naturally occurring affordable housing meeting the rule's affordability criteria.",
+    cite: "12 CFR __.13(b) (affordable housing).",
+    tests: "Community Development Financing Test (loans and investments)"
+  },
+  financial: {
+    criterion: "Financial literacy — activities that promote financial literacy, including credit and debt counseling and housing counseling; medical-debt relief for LMI individuals as community supportive services.",
+    cite: "12 CFR __.13(l) (financial literacy); 12 CFR __.13(d) (community supportive services) for relief funding.",
+    tests: "Community Development Services Test • Community Development Financing Test (relief grants)"
+  },
+  smalldollar: {
+    criterion: "Responsive credit products and programs — small-dollar consumer loans on safe and sound terms that meet the credit needs of LMI individuals.",
+    cite: "Retail Services and Products Test: 12 CFR __.23 (responsive credit products and programs); Interagency Lending Principles for Offering Responsible Small-Dollar Loans (May 2020).",
+    tests: "Retail Services and Products Test (responsive credit products)"
+  }
+ }
+};
+
+function loadRuleSet(){
+  try{
+    const saved = localStorage.getItem(RULESET_STORAGE_KEY);
+    if(saved && CRA_RULE_SETS[saved]) return saved;
+  }catch(e){
+    console.error(e);
+  }
+  return "occ";
+}
+
+// -> {criterion, cite, tests} under the selected rule set; tests default to the opportunity template's
+function craCriterion(kind){
+  const c = CRA_CRITERIA[state.ruleSet][kind] || {criterion:"—", cite:""};
+  const t = OPPORTUNITY_TEMPLATES[kind];
+  return {criterion:c.criterion, cite:c.cite, tests: c.tests || (t ? t.tests : "—")};
+}
+
+function ruleSetLabel(){
+  return CRA_RULE_SETS[state.ruleSet].label;
+}
+
+// Tier 2 opportunity templates, keyed like each rule set's CRA_CRITERIA. Each is fed by the taxonomy indicators whose
+// "opp" names it, plus any indicator keys listed in "keys"; eligibility and documentation burden are the
+// fixed scoring inputs. target, delivery and kpis fill the draft generator's implementation sections.
+const OPPORTUNITY_TEMPLATES = {
+  nmt: {
+    opp:"Transportation-to-care (NEMT) — missed appointment mitigation",
+    tests:"Service • Investment (as structured) • CD Loans (as structured)",
+    eligibility:90, burden:35,
+    always:true, // transportation is always evaluated (requirement)
+    checklist:"CHNA excerpt(s) with overall + age-band differential; target population definition (LMI and/or qualifying segments); service area map; vendor/partner agreement; invoices; ride logs; beneficiary counts; monitoring report cadence.",
+    target:"older adults prioritized when transportation barriers are amplified; additional eligibility defined by LMI method and service area",
+    delivery:"partner/brokered NEMT with documented ride logs and monitoring",
+    kpis:["Completed rides","Prevented disruptions (missed appointments)"]
+  },
+  food: {
+    opp:"Food access support — distribution / vouchers / meal supports",
+    tests:"Investment • Service (depending on structure)",
+    eligibility:80, burden:45,
+    checklist:"CHNA food measure; LMI targeting method; partner agreement; distribution logs; invoices; beneficiary counts; monitoring plan.",
+    target:"LMI households in the segments with the highest documented food insecurity",
+    delivery:"partner-run distribution, vouchers or meal supports with eligibility screening and distribution logs",
+    kpis:["Units distributed (meals, boxes, vouchers redeemed)","Households served"]
+  },
+  care: {
+    opp:"Care navigation / referral infrastructure — access enablement",
+    tests:"Service • Investment (as structured)",
+    eligibility:75, burden:50,
+    checklist:"CHNA access barrier evidence; workflow description; staffing records; referral counts; LMI targeting; monitoring plan.",
+    target:"LMI patients in the segments reporting delayed or forgone care",
+    delivery:"navigator staffing and referral workflows with closed-loop tracking",
+    kpis:["Referrals made and closed","Time to appointment"]
+  },
+  housing: {
+    opp:"Affordable housing — CD loans / qualified investments (LMI rental, supportive housing)",
+    tests:"CD Loans • Investment",
+    eligibility:85, burden:60,
+    checklist:"CHNA housing measure; project pro forma; rent/income restrictions (≤80% AMI) or LIHTC documentation; tenant income certification method; project location vs AA; loan/investment documents; occupancy and affordability monitoring.",
+    target:"LMI renters and households in the segments reporting the highest housing need",
+    delivery:"CD loan or equity investment in income-restricted rental or supportive housing, with hospital referral or service partnership",
+    kpis:["Affordable units financed and occupied","Share of units restricted to ≤80% AMI"]
+  },
+  financial: {
+    opp:"Financial counseling & medical-debt relief — counseling, credit repair, debt resolution",
+    tests:"Service • Investment (donations, as structured)",
+    eligibility:80, burden:40,
+    checklist:"CHNA financial-need measure; counseling curriculum and counselor qualifications; hospital financial-assistance policy alignment; client intake records with income; sessions delivered; debt resolved or relieved; beneficiary counts.",
+    target:"LMI patients and households reporting cost barriers or medical debt",
+    delivery:"bank-staffed or partner financial counseling co-located with hospital financial assistance, plus medical-debt relief or resolution funding",
+    kpis:["Counseling sessions delivered","Medical debt resolved or relieved ($)"]
+  },
+  smalldollar: {
+    opp:"Small-dollar lending — affordable medical-expense / emergency loans",
+    tests:"Lending (retail) • Service (as structured)",
+    eligibility:70, burden:55,
+    keys:["financial"],
+    checklist:"CHNA financial-need measure; product terms (APR, amount, term, fees) and underwriting; ability-to-repay controls; LMI borrower share; origination and repayment data; complaint log; referral pathway from hospital financial counseling.",
+    target:"LMI borrowers facing medical or emergency expenses who lack affordable credit",
+    delivery:"responsive small-dollar loan product with affordable terms, referred through hospital financial counseling",
+    kpis:["Loans originated to LMI borrowers","Repayment and graduation to mainstream credit"]
   }
 };
 
 // ------------------------------
 // Extraction
 // ------------------------------
-async function extractPdfText(file){
-  const arrayBuffer = await file.arrayBuffer();
-  const pdf = await pdfjsLib.getDocument({data: arrayBuffer}).promise;
+async function extractPdfText(file, onProgress){
+  // pdf.js transfers the buffer it is given to its worker; keep a copy for the source viewer
+  const pdfData = new Uint8Array(await file.arrayBuffer());
+  const pdf = await pdfjsLib.getDocument({data: pdfData.slice()}).promise;
   const numPages = pdf.numPages;
   const textByPage = [];
-  for(let p=1; p<=numPages; p++){
-    const page = await pdf.getPage(p);
-    const content = await page.getTextContent();
-    const strings = content.items.map(it => it.str).filter(Boolean);
-    const text = strings.join(" ").replace(/\s+/g,' ').trim();
-    textByPage.push(text);
+  const tablesByPage = [];
+  const ocrByPage = []; // null = text layer; {confidence} = OCR'd (confidence null if no OCR engine)
+  const headingsByPage = [];
+  let worker = null;
+  try{
+    for(let p=1; p<=numPages; p++){
+      const page = await pdf.getPage(p);
+      const content = await page.getTextContent();
+      const strings = content.items.map(it => it.str).filter(Boolean);
+      const text = strings.join(" ").replace(/\s+/g,' ').trim();
+      if(text.length >= OCR_CONFIG.minTextChars){
+        textByPage.push(text);
+        tablesByPage.push(pdfTablesFromItems(content.items));
+        headingsByPage.push(pdfHeadingsFromItems(content.items));
+        ocrByPage.push(null);
+        continue;
+      }
+      // No usable text layer: scanned/image-only page
+      if(!ocrAvailable()){
+        textByPage.push(text);
+        tablesByPage.push([]);
+        headingsByPage.push([]);
+        ocrByPage.push({confidence:null});
+        continue;
+      }
+      if(onProgress) onProgress(`OCR ${file.name}: page ${p} of ${numPages}…`);
+      if(!worker) worker = await Tesseract.createWorker(OCR_CONFIG.lang, 1, {
+        workerPath: OCR_CONFIG.workerPath, corePath: OCR_CONFIG.corePath, langPath: OCR_CONFIG.langPath, gzip: true
+      });
+      const ocr = await ocrPdfPage(page, worker);
+      textByPage.push(ocr.text);
+      tablesByPage.push([]);
+      headingsByPage.push([]);
+      ocrByPage.push({confidence: ocr.confidence});
+    }
+  }finally{
+    if(worker) await worker.terminate();
+  }
+  return {pages: numPages, textByPage, tablesByPage, ocrByPage, headingsByPage, pdfData};
+}
+
+// ------------------------------
+// OCR fallback for scanned PDFs
+// Runs the tesseract.js engine bundled in vendor/tesseract (see its README); nothing is sent over the network.
+// Only the LSTM core builds are shipped, so the worker must be created with OEM 1.
+// If the bundle fails to load, image-only pages are still detected and reported, just not read.
+// ------------------------------
+const OCR_CONFIG = {
+  workerPath: "vendor/tesseract/worker.min.js",
+  corePath: "vendor/tesseract/",
+  langPath: "vendor/tesseract/lang",
+  lang: "eng",
+  minTextChars: 20, // less extractable text than this = image-only page
+  scale: 2,         // render scale (~144 dpi) — enough for survey tables without exhausting memory
+  lowConfidence: 70 // evidence from pages under this OCR confidence (0–100) is flagged
+};
+
+function ocrAvailable(){
+  return typeof Tesseract !== "undefined" && typeof Tesseract.createWorker === "function";
+}
+
+async function ocrPdfPage(page, worker){
+  const viewport = page.getViewport({scale: OCR_CONFIG.scale});
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  await page.render({canvasContext: canvas.getContext("2d"), viewport}).promise;
+  const {data} = await worker.recognize(canvas);
+  canvas.width = canvas.height = 0; // release the bitmap before the next page
+  return {text: (data.text||"").replace(/\s+/g,' ').trim(), confidence: Math.round(data.confidence)};
+}
+
+function ocrBadge(conf){
+  if(conf==null) return "";
+  if(conf < OCR_CONFIG.lowConfidence) return ` <span class="badge b-weak" title="Low OCR confidence — verify against the source page">OCR ${conf}%</span>`;
+  return ` <span class="small">OCR ${conf}%</span>`;
+}
+
+// ------------------------------
+// Layout-aware table reconstruction (PDF)
+// pdf.js items carry a transform [a,b,c,d,x,y]; items sharing a baseline form a line, wide
+// horizontal gaps split a line into cells, and runs of multi-cell lines become tables whose
+// columns are aligned by overlapping x-extents. Output: [{rows:[[cell,...],...]}] per page.
+// ------------------------------
+function _pdfLines(items){
+  const pts = items
+    .filter(it=>it.str && it.str.trim() && it.transform)
+    .map(it=>({str:it.str.trim(), x:it.transform[4], y:it.transform[5], w:it.width||0, h:Math.abs(it.transform[3]) || it.height || 10}))
+    .sort((a,b)=>(b.y-a.y) || (a.x-b.x));
+
+  const lines = [];
+  for(const p of pts){
+    const last = lines[lines.length-1];
+    if(last && Math.abs(last.y - p.y) <= Math.max(2, p.h*0.4)) last.items.push(p);
+    else lines.push({y:p.y, items:[p]});
+  }
+  for(const line of lines){
+    line.items.sort((a,b)=>a.x-b.x);
+    line.cells = [];
+    let cur = null;
+    for(const it of line.items){
+      const gap = cur ? it.x - cur.x1 : Infinity;
+      if(!cur || gap > Math.max(it.h*1.2, 8)){
+        cur = {text:it.str, x0:it.x, x1:it.x+it.w};
+        line.cells.push(cur);
+      }else{
+        cur.text += (gap > it.h*0.15 ? " " : "") + it.str;
+        cur.x1 = Math.max(cur.x1, it.x+it.w);
+      }
+    }
+  }
+  return lines;
+}
+
+function _tableFromLines(lines){
+  // columns are x-intervals; a cell joins the first column it overlaps, widening it
+  const cols = [];
+  for(const line of lines){
+    for(const c of line.cells){
+      const col = cols.find(k=>c.x0 <= k.x1 && c.x1 >= k.x0);
+      if(col){ col.x0 = Math.min(col.x0, c.x0); col.x1 = Math.max(col.x1, c.x1); }
+      else cols.push({x0:c.x0, x1:c.x1});
+    }
+  }
+  cols.sort((a,b)=>a.x0-b.x0);
+  const rows = lines.map(line=>{
+    const row = cols.map(()=> "");
+    for(const c of line.cells){
+      const found = cols.findIndex(k=>c.x0 <= k.x1 && c.x1 >= k.x0);
+      const idx = found<0 ? cols.length-1 : found;
+      row[idx] += (row[idx] ? " " : "") + c.text;
+    }
+    return row;
+  });
+  return {rows};
+}
+
+function pdfTablesFromItems(items){
+  const lines = _pdfLines(items || []);
+  const tables = [];
+  let run = [];
+  const close = ()=>{
+    // a table needs at least two aligned lines and at least one numeric cell
+    if(run.length>=2 && run.some(l=>l.cells.some(c=>_isNumericCell(c.text)))) tables.push(_tableFromLines(run));
+    run = [];
+  };
+  for(const line of lines){
+    if(line.cells.length>=2) run.push(line);
+    else close();
+  }
+  close();
+  return tables;
+}
+
+// Heading lines: a lone line of text set noticeably larger than the page's body size, or a numbered /
+// all-caps title line. Returned as text; splitSections() finds them again in the page text.
+function pdfHeadingsFromItems(items){
+  const lines = _pdfLines(items || []);
+  const heights = lines.flatMap(l=>l.items.map(it=>it.h)).sort((a,b)=>a-b);
+  if(!heights.length) return [];
+  const body = heights[Math.floor(heights.length/2)];
+  return lines.filter(l=>{
+    if(l.cells.length!==1 || !_isHeadingText(l.cells[0].text)) return false;
+    const big = Math.max(...l.items.map(it=>it.h)) >= body*1.15;
+    return big || _isTitleLine(l.cells[0].text);
+  }).map(l=>l.cells[0].text);
+}
+
+const NUMBERED_HEADING_RE = /^(?:(?:Section|SECTION|Part|PART|Chapter|CHAPTER|Sección|Parte|Capítulo)\s+[\dIVX]+[.:]?|\d{1,2}(?:\.\d{1,2})*\.?|[IVX]{1,5}\.)\s+\p{Lu}/u;
+// short, has letters, and does not read like a sentence or a number
+function _isHeadingText(t){
+  t = String(t||"").trim();
+  return t.length>=3 && t.length<=90 && /\p{L}{3}/u.test(t) && !/[.,;]$/.test(t) && t.split(/\s+/).length<=12 && !_isNumericCell(t);
+}
+function _isTitleLine(t){
+  return NUMBERED_HEADING_RE.test(t) || (!/\p{Ll}/u.test(t) && /\p{Lu}{4}/u.test(t));
+}
+
+function _isNumericCell(s){
+  return /^[<>]?\d{1,3}(?:,\d{3})*(?:\.\d+)?\s*%?\s*[*‡†]?$/.test(String(s||"").trim());
+}
+
+const TABLE_COUNT_RE = /unweighted|count|^\(?n\)?$|^n\s*=|\bbase\b|^(?:number of )?respondents$|sample size|^number\b/i;
+const TABLE_CI_RE = /\bci\b|confidence|interval|margin of error|\bmoe\b|^(?:lower|upper)\b|±|intervalo/i;
+const TABLE_VALUE_HEADER_RE = /^(?:%|percent(?:age)?|rate|value|estimate|porcentaje|tasa)$/i;
+const TABLE_PCT_HEADER_RE = /%|percent|porcentaje/i;
+
+// A header or row label that names a subgroup -> its segment label; "Total"/"Percent" -> "Overall";
+// anything else (years, "Change", free text) is not a segment -> null
+function _tableSegment(s){
+  const t = String(s||"").trim();
+  if(TABLE_VALUE_HEADER_RE.test(t)) return "Overall";
+  const seg = normalizeSegment(t);
+  if(seg==="Overall") return seg;
+  return detectSegments(t).length ? seg : null;
+}
+
+// Read segment × indicator values from reconstructed cells. Handles both orientations:
+// indicators down the rows with segments across the header, or the transpose.
+function scanTables(tables, doc, page, prominence){
+  for(const table of tables || []){
+    const rows = table.rows;
+    const hIdx = rows.findIndex(r=>r.filter(c=>c.trim()).length>=2 && !r.some(_isNumericCell));
+    if(hIdx<0) continue;
+    const header = rows[hIdx];
+    // without a percent sign or a percent header, only proportions (0.085) read as rates; whole
+    // numbers are counts
+    const pctTable = rows.some(r=>r.some(c=>c.includes("%"))) || header.some(h=>TABLE_PCT_HEADER_RE.test(h));
+    // sample sizes: a count row gives n per column; a count column gives n per row (transposed layout)
+    const isCount = (s)=>TABLE_COUNT_RE.test(String(s||"").trim());
+    const isCI = (s)=>TABLE_CI_RE.test(String(s||"").trim());
+    const toN = (s)=>{ const v = parseInt(String(s||"").replace(/[,\s]/g,""),10); return isNaN(v) ? null : v; };
+    const countRow = rows.slice(hIdx+1).find(r=>isCount(r[0]));
+    const countCol = header.findIndex((h,i)=>i>0 && isCount(h));
+    for(const r of rows.slice(hIdx+1)){
+      const label = r[0] || "";
+      if(!label || isCount(label) || isCI(label)) continue;
+      const rowDisp = matchDisparity(label);
+      for(let c=1; c<r.length; c++){
+        const cell = (r[c]||"").trim();
+        if(!_isNumericCell(cell) || !header[c] || isCount(header[c]) || isCI(header[c])) continue;
+        const colDisp = rowDisp ? null : matchDisparity(header[c]);
+        const d = rowDisp || colDisp;
+        if(!d) continue;
+        const segment = _tableSegment(rowDisp ? header[c] : label);
+        if(!segment) continue;
+        const num = parseFloat(cell.replace(/[<>,%\s*‡†]/g,""));
+        const val = (cell.includes("%") || pctTable) ? num : (/^0?\.\d+$|^1\.0+$/.test(cell) ? num*100 : null);
+        if(val==null || isNaN(val) || val>100) continue;
+        const n = rowDisp ? (countRow ? toN(countRow[c]) : null) : (countCol>0 ? toN(r[countCol]) : null);
+        const snippet = `${label} × ${header[c]}: ${cell}${n!=null ? " (n="+n+")" : ""}`;
+        recordEvidence(d.label, snippet, doc.name, page, "table");
+        addFinding(d.key, d.label, segment, val, prominence[d.key], `${doc.name} p.${page}`, {source:"table", doc:doc.name, n, suppressed:/[*‡†]/.test(r[c]), snippet});
+      }
+    }
   }
-  return {pages: numPages, textByPage};
 }
 async function extractTxt(file){
   const text = await file.text();
-  return {pages: 1, textByPage: [text.replace(/\s+/g,' ').trim()]};
+  return {pages: 1, textByPage: [text.replace(/\s+/g,' ').trim()], headingsByPage: [textHeadings(text)]};
 }
 
-function recordEvidence(disparityLabel, snippet, doc, page){
-  state.evidence.push({disparity:disparityLabel, snippet, doc, page});
+// Plain-text heading lines: markdown "#" headings, numbered or all-caps titles, and short
+// Title Case lines that open a block (blank line or another heading before, text after)
+function textHeadings(text){
+  const lines = String(text||"").split(/\r?\n/).map(l=>l.trim());
+  const out = [];
+  let prevHeading = false;
+  lines.forEach((line, i)=>{
+    const md = line.match(/^#{1,6}\s+(.+)$/);
+    const t = md ? md[1].trim() : line;
+    const words = t.split(/\s+/);
+    const titleCase = words.length<=8 && words.every(w=>w.length<=3 || /^[\p{Lu}\d]/u.test(w));
+    // a subheading may sit directly under its parent heading
+    const opensBlock = (i===0 || !lines[i-1] || prevHeading) && !!lines[i+1];
+    prevHeading = _isHeadingText(t) && (!!md || _isTitleLine(t) || (titleCase && opensBlock));
+    if(prevHeading) out.push(t);
+  });
+  return out;
 }
 
-function findPercentNear(text, keyword){
-  const re = new RegExp(`${keyword}[\\s\\S]{0,160}?(\\d{1,2}(?:\\.\\d+)?)%`, "i");
-  const m = text.match(re);
-  if(!m) return null;
-  const val = parseFloat(m[1]);
-  if(isNaN(val)) return null;
-  return {val, snippet: m[0].slice(0,280)};
+// Both extractors below return the same {pages, textByPage, headingsByPage} shape as the PDF/TXT readers.
+// "Pages" follow real page breaks when the file records them; otherwise the document is
+// split at its top-level headings so each section gets its own page reference.
+function _collectPages(blocks){
+  // blocks: [{text, heading (level or 0), title (heading text when text runs on past it), breakBefore}]
+  const hasBreaks = blocks.some(b=>b.breakBefore);
+  // split at the highest heading level that repeats, so a lone title does not swallow the document
+  const counts = {};
+  for(const b of blocks){ if(b.heading>0) counts[b.heading] = (counts[b.heading]||0) + 1; }
+  const levels = Object.keys(counts).map(Number).sort((a,b)=>a-b);
+  const splitLevel = hasBreaks ? 0 : (levels.find(l=>counts[l]>1) || levels[0] || 0);
+  const pages = [{text:[], headings:[]}];
+  for(const b of blocks){
+    const cur = pages[pages.length-1];
+    if(cur.text.length && (b.breakBefore || (splitLevel && b.heading===splitLevel))) pages.push({text:[], headings:[]});
+    const pg = pages[pages.length-1];
+    if(b.text) pg.text.push(b.text);
+    const title = (b.title || b.text || "").replace(/\s+/g,' ').trim();
+    if(b.heading>0 && title) pg.headings.push(title);
+  }
+  const kept = pages.map(p=>({text:p.text.join(" ").replace(/\s+/g,' ').trim(), headings:p.headings})).filter(p=>p.text);
+  return {pages: kept.length || 1, textByPage: kept.length ? kept.map(p=>p.text) : [""], headingsByPage: kept.map(p=>p.headings)};
 }
-function findAge6574Transport(text){
-  const re = /65\s*[-–]\s*74[\s\S]{0,160}transportation[\s\S]{0,80}?(\d{1,2}(?:\.\d+)?)%/i;
-  const m = text.match(re);
-  if(!m) return null;
-  const val = parseFloat(m[1]);
-  if(isNaN(val)) return null;
-  return {val, snippet: m[0].slice(0,280)};
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+function _docxHeadingLevel(p){
+  const pPr = p.getElementsByTagNameNS(W_NS, "pPr")[0];
+  if(!pPr) return 0;
+  const outline = pPr.getElementsByTagNameNS(W_NS, "outlineLvl")[0];
+  if(outline) return (parseInt(outline.getAttributeNS(W_NS, "val"),10) || 0) + 1;
+  const style = pPr.getElementsByTagNameNS(W_NS, "pStyle")[0];
+  const id = style ? (style.getAttributeNS(W_NS, "val") || "") : "";
+  if(/^title$/i.test(id)) return 1;
+  const m = id.match(/heading\s*(\d)/i);
+  return m ? parseInt(m[1],10) : 0;
 }
 
-function addFinding(key, disparity, segment, magnitude, prominence, evidenceRef){
+async function extractDocx(file){
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const entry = zip.file("word/document.xml");
+  if(!entry) throw new Error("word/document.xml not found (not a .docx file)");
+  const xml = new DOMParser().parseFromString(await entry.async("string"), "application/xml");
+  // Word writes lastRenderedPageBreak where pages actually fell when the file was saved;
+  // prefer those so page references match the printed report.
+  const rendered = xml.getElementsByTagNameNS(W_NS, "lastRenderedPageBreak").length > 0;
+
+  const blocks = [];
+  let pendingBreak = false;
+  for(const p of Array.from(xml.getElementsByTagNameNS(W_NS, "p"))){
+    const heading = _docxHeadingLevel(p);
+    let text = "";
+    for(const el of Array.from(p.getElementsByTagName("*"))){
+      if(el.namespaceURI !== W_NS) continue;
+      if(el.localName==="t") text += el.textContent;
+      else if(el.localName==="tab") text += " ";
+      else if((el.localName==="br" && el.getAttributeNS(W_NS, "type")==="page") || (rendered && el.localName==="lastRenderedPageBreak")){
+        // a break inside a paragraph ends the page with whatever text came before it
+        blocks.push({text, heading, breakBefore: pendingBreak});
+        text = ""; pendingBreak = true;
+      }
+    }
+    blocks.push({text, heading, breakBefore: pendingBreak});
+    pendingBreak = false;
+    // a paragraph-level sectPr marks a section break after this paragraph
+    const pPr = p.getElementsByTagNameNS(W_NS, "pPr")[0];
+    if(pPr && pPr.getElementsByTagNameNS(W_NS, "sectPr").length) pendingBreak = true;
+  }
+  return _collectPages(blocks);
+}
+
+const HTML_BLOCK_TAGS = new Set(["P","DIV","LI","TR","TD","TH","BR","SECTION","ARTICLE","BLOCKQUOTE","H1","H2","H3","H4","H5","H6","TABLE","UL","OL","DT","DD","PRE"]);
+async function extractHtml(file){
+  const doc = new DOMParser().parseFromString(await file.text(), "text/html");
+  doc.querySelectorAll("script,style,noscript,template,svg,nav").forEach(el=>el.remove());
+  const root = doc.body || doc.documentElement;
+
+  const blocks = [];
+  let cur = {text:"", heading:0, breakBefore:false};
+  const flush = (next)=>{ blocks.push(cur); cur = next; };
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  let node = walker.nextNode();
+  while(node){
+    if(node.nodeType === Node.TEXT_NODE){
+      cur.text += node.nodeValue;
+    }else{
+      const style = (node.getAttribute("style") || "").toLowerCase().replace(/\s+/g,'');
+      const pageBreak = /page-break-before:always|break-before:page/.test(style);
+      const hm = node.tagName.match(/^H([1-6])$/);
+      if(hm || pageBreak){
+        flush({text:"", heading: hm ? parseInt(hm[1],10) : 0, title: hm ? node.textContent : "", breakBefore: pageBreak});
+      }else if(HTML_BLOCK_TAGS.has(node.tagName)){
+        // keep block boundaries as spaces without splitting inline markup like <b>7</b>%
+        cur.text += " ";
+      }
+    }
+    node = walker.nextNode();
+  }
+  flush(null);
+  return _collectPages(blocks);
+}
+
+// match: text-matcher confidence {confidence, reason}; below MATCH_MIN_CONFIDENCE the hit is evidence only
+function recordEvidence(disparityLabel, snippet, doc, page, source="text", match=null){
+  const d = state.docs.find(x=>x.name===doc);
+  const ocr = (d && d.ocrByPage) ? d.ocrByPage[page-1] : null;
+  state.evidence.push({disparity:disparityLabel, snippet, doc, page, source, ocrConfidence: ocr ? ocr.confidence : null,
+    confidence: match ? match.confidence : null, reason: match ? match.reason : "", trigger: match ? match.trigger || null : null,
+    lowConfidence: !!match && match.confidence < MATCH_MIN_CONFIDENCE});
+}
+
+// ------------------------------
+// Language-aware term matching (English + Spanish)
+// Terms are compared on accent-folded, lightly stemmed tokens, so "transportation problem(s)",
+// "appointment(s)" and "cita médica"/"citas medicas" match alike. Each taxonomy indicator is widened
+// with a synonym set and Spanish equivalents; every hit reports the term, its language and
+// whether it was a taxonomy keyword or a synonym.
+// ------------------------------
+const INDICATOR_SYNONYMS = {
+  transport: {
+    en:["lack of a ride","no ride","no car","no vehicle","getting to appointments","ride to appointments","bus route","public transit"],
+    es:["transporte","falta de transporte","sin carro","sin auto","no tener carro","no tiene carro","no tienen carro","llegar a las citas","raite"]
+  },
+  access: {
+    en:["delay care","delayed getting care","could not see a doctor","unable to get care","no appointment available","long wait times"],
+    es:["retrasar la atención","atención médica retrasada","no pudo ver a un médico","no consiguió cita","acceso a la atención"]
+  },
+  food: {
+    en:["hunger","not enough food","skipped meals","ran out of food","food pantry","food bank"],
+    es:["inseguridad alimentaria","falta de comida","no alcanza la comida","hambre","banco de alimentos"]
+  },
+  housing: {
+    en:["homelessness","homeless","eviction","rent burden","unstable housing","affordable housing"],
+    es:["vivienda","vivienda asequible","desalojo","sin hogar","pago de la renta"]
+  },
+  financial: {
+    en:["medical debt","medical bills","could not afford care","cost of care","too expensive"],
+    es:["deuda médica","facturas médicas","no pudo pagar","costo de la atención","necesidades económicas"]
+  }
+};
+const SPANISH_HINT_RE = /[áéíóúñ¿¡]|\b(?:de|del|la|las|los|el|para|sin|con|falta|por)\b/i;
+
+function _fold(s){ return String(s||"").normalize("NFD").replace(/[\u0300-\u036f]/g,"").toLowerCase(); }
+
+// Light suffix stripping shared by both languages: -ing/-ed (doubled consonants undone), plural -s,
+// then a final -e on longer words, so "rates"/"rate", "approaches"/"approach", "necesidades"/"necesidad"
+// meet. Short stems keep their -e and -ing/-ed stays on when too little would remain, which keeps
+// "care"/"car", "house"/"housing" and "ride"/"rid" apart (STEM_DISTINCT below).
+function _stem(word){
+  let w = _fold(word);
+  if(w.length <= 3) return w;
+  if(/(?:ing|ed)$/.test(w) && w.length > 5){
+    const base = w.replace(/(?:ing|ed)$/, "");
+    if(base.length > 3) w = /([b-df-hj-np-tv-z])\1$/.test(base) ? base.slice(0,-1) : base;
+  }else if(/[^su]s$/.test(w)){
+    w = w.slice(0,-1);
+  }
+  return (w.length > 5 && w.endsWith("e")) ? w.slice(0,-1) : w;
+}
+
+// Word pairs that must never share a stem; a collision would let "no car" match "no care"
+const STEM_DISTINCT = [["care","car"],["house","housing"],["ride","rid"],["caring","car"],["riding","rid"]];
+for(const [a, b] of STEM_DISTINCT){
+  if(_stem(a)===_stem(b)) console.error(`Stem collision: "${a}" and "${b}" both stem to "${_stem(a)}"`);
+}
+
+function _tokens(text){
+  const out = [];
+  const re = /[\p{L}\p{N}]+(?:['’]\p{L}+)?/gu;
+  let m;
+  while((m = re.exec(text))) out.push({stem:_stem(m[0]), start:m.index, end:m.index + m[0].length});
+  return out;
+}
+
+function _term(phrase, lang, kind){
+  return {phrase, lang, kind, stems:_tokens(phrase).map(t=>t.stem)};
+}
+
+// Taxonomy keywords (language guessed from the phrase) plus the indicator's synonym sets
+function indicatorTerms(d){
+  const terms = d.keywords.map(k=>_term(k, SPANISH_HINT_RE.test(k) ? "es" : "en", "keyword"));
+  const syn = INDICATOR_SYNONYMS[d.key] || {};
+  for(const lang of Object.keys(syn)){
+    for(const phrase of syn[lang]) terms.push(_term(phrase, lang, "synonym"));
+  }
+  return terms.filter(t=>t.stems.length);
+}
+
+// -> [{start, end, term}] in text order; a longer term wins where two start at the same token.
+// toks: pass _tokens(text) when matching many term lists against the same text
+function findTerms(text, terms, toks=_tokens(text)){
+  const out = [];
+  for(let i=0; i<toks.length; i++){
+    let best = null;
+    for(const t of terms){
+      if(t.stems.length > toks.length - i || (best && t.stems.length <= best.stems.length)) continue;
+      if(t.stems.every((st, j)=>toks[i+j].stem===st)) best = t;
+    }
+    if(best){
+      out.push({start:toks[i].start, end:toks[i+best.stems.length-1].end, term:best});
+      i += best.stems.length - 1;
+    }
+  }
+  return out;
+}
+
+// {lang, kind, term, matched} as stored on evidence / element hits
+function triggerOf(hit, text){
+  return {lang:hit.term.lang, kind:hit.term.kind, term:hit.term.phrase, matched:text.slice(hit.start, hit.end)};
+}
+
+function fmtTrigger(t){
+  if(!t) return "";
+  const same = _fold(t.matched)===_fold(t.term);
+  return `${t.lang.toUpperCase()} · ${t.kind} “${t.term}”${same ? "" : ` (text: “${t.matched}”)`}`;
+}
+
+// ------------------------------
+// Demographic segment detection
+// Finds subgroup breakouts (age bands, race/ethnicity, income tiers, insurance status, county/ZIP)
+// and binds each to the percent reported for it, so every disparity gets per-segment findings.
+// ------------------------------
+const RACE_LABELS = [
+  {re:/hispanic|latin[oax]/i, label:"Hispanic/Latino"},
+  {re:/black|african american|afroamerican/i, label:"Black/African American"},
+  {re:/american indian|alaska native|native american/i, label:"American Indian/Alaska Native"},
+  {re:/pacific islander|native hawaiian/i, label:"Native Hawaiian/Pacific Islander"},
+  {re:/asian|asiátic/i, label:"Asian"},
+  {re:/multiracial|two or more races/i, label:"Multiracial"},
+  {re:/white/i, label:"White"}
+];
+const INSURANCE_LABELS = [
+  {re:/uninsured|no (?:health )?insurance/i, label:"Uninsured"},
+  {re:/medicaid/i, label:"Medicaid"},
+  {re:/medicare/i, label:"Medicare"},
+  {re:/private|commercial/i, label:"Private insurance"}
+];
+const GEO_STOPWORDS = new Set(["In","The","Of","For","And","Across","From","Within","Throughout","Rural","Residents","Among","All","Each"]);
+
+// Order matters: earlier patterns claim their span first (e.g. "White County" is geography, not race).
+const SEGMENT_PATTERNS = [
+  {type:"geo", re:/\b([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\s+County\b/g, label:m=>{
+    const words = m[1].split(" ").filter(w=>!GEO_STOPWORDS.has(w));
+    return words.length ? `${words.join(" ")} County` : null;
+  }},
+  {type:"geo", re:/\bZIP(?:\s*code)?\s*(\d{5})\b/gi, label:m=>`ZIP ${m[1]}`},
+  {type:"income", re:/\b(?:under|below|less than|<)\s*(\d{2,3})\s*%\s*(?:of\s*(?:the\s*)?)?(?:FPL|federal poverty(?: level| guidelines?)?)/gi, label:m=>`Income <${m[1]}% FPL`},
+  {type:"income", re:/\$\s?(\d{1,3}(?:,\d{3})+|\d+[kK])\s*(?:[-–]|to)\s*\$?\s?(\d{1,3}(?:,\d{3})+|\d+[kK])/g, label:m=>`Income $${m[1]}–$${m[2]}`},
+  {type:"income", re:/\b(?:income\s*)?(?:under|below|less than|<)\s*\$\s?(\d{1,3}(?:,\d{3})+|\d+[kK])/gi, label:m=>`Income <$${m[1]}`},
+  {type:"income", re:/\b(?:income\s*)?(?:over|above|more than|>)\s*\$\s?(\d{1,3}(?:,\d{3})+|\d+[kK])/gi, label:m=>`Income >$${m[1]}`},
+  {type:"income", re:/\blow[-\s]income\b/gi, label:()=>"Low income"},
+  // Spanish age bands ("de 65 a 74 años", "65 años o más")
+  {type:"age", re:/\b(?:de\s*)?(\d{2})\s*a\s*(\d{2,3})\s*años\b/gi, label:m=>{
+    const lo = parseInt(m[1],10), hi = parseInt(m[2],10);
+    return (hi>lo && hi<=110) ? `Age ${lo}–${hi}` : null;
+  }},
+  {type:"age", re:/\b(\d{2})\s*años\s*(?:o|y)\s*más\b/gi, label:m=>`Age ${m[1]}+`},
+  {type:"age", re:/\b(?:ages?\s*)?(\d{2})\s*(?:[-–]|to)\s*(\d{2,3})\b(?!\s*%)/gi, label:m=>{
+    const lo = parseInt(m[1],10), hi = parseInt(m[2],10);
+    return (hi>lo && hi<=110) ? `Age ${lo}–${hi}` : null;
+  }},
+  {type:"age", re:/\b(?:ages?\s*)?(\d{2})\s*(?:\+|and (?:older|over)|or older)/gi, label:m=>`Age ${m[1]}+`},
+  {type:"insurance", re:/\b(?:uninsured|no (?:health )?insurance|medicaid|medicare|privately insured|private(?: health)? insurance|commercial(?:ly)? insur(?:ed|ance))\b/gi, label:m=>INSURANCE_LABELS.find(x=>x.re.test(m[0])).label},
+  {type:"race", re:/\b(?:hispanic|latin[oax]|black|african american|american indian|alaska native|native american|pacific islander|native hawaiian|asian|multiracial|two or more races|white)\b/gi, label:m=>RACE_LABELS.find(x=>x.re.test(m[0])).label},
+  {type:"race", re:/\b(?:hispan[oa]s|latin[oa]s|afroamerican[oa]s|asiátic[oa]s)\b/gi, label:m=>RACE_LABELS.find(x=>x.re.test(m[0])).label}
+];
+
+// -> [{type,label,start,end}] sorted by position, non-overlapping
+function detectSegments(text){
+  const found = [];
+  for(const pat of SEGMENT_PATTERNS){
+    pat.re.lastIndex = 0;
+    let m;
+    while((m = pat.re.exec(text))){
+      const start = m.index, end = m.index + m[0].length;
+      if(found.some(f=>start < f.end && end > f.start)) continue;
+      const label = pat.label(m);
+      if(label) found.push({type:pat.type, label, start, end});
+    }
+  }
+  return found.sort((a,b)=>a.start-b.start);
+}
+
+// ------------------------------
+// Sample size / confidence interval capture
+// Reads n, 95% CIs (or ± margins of error) and suppression markers that sit next to a percent.
+// ------------------------------
+const CI_RE = /(?:95\s*%\s*)?(?:CI|confidence interval)\s*[:=]?\s*\(?\s*(\d{1,3}(?:\.\d+)?)\s*%?\s*(?:[-–,]|to)\s*(\d{1,3}(?:\.\d+)?)\s*%?\s*\)?/gi;
+const PAREN_CI_RE = /\(\s*(\d{1,3}(?:\.\d+)?)\s*%?\s*[-–]\s*(\d{1,3}(?:\.\d+)?)\s*%?\s*\)/g;
+const MOE_RE = /(?:±|\+\/-|margin of error(?: of)?)\s*(\d{1,2}(?:\.\d+)?)\s*%?(?:\s*(?:percentage )?points?)?/gi;
+const N_RE = /\b[nN]\s*[=:]\s*(\d{1,3}(?:,\d{3})+|\d+)\b|unweighted (?:count|n|base)\s*[:=]?\s*(\d{1,3}(?:,\d{3})+|\d+)|\b(\d{1,3}(?:,\d{3})+|\d+)\s+(?:respondents|responses|participants|people surveyed)\b/i;
+const SUPPRESS_RE = /suppressed|unstable|interpret with caution|use caution|small (?:sample|numbers)|does not meet (?:reliability|standards)/i;
+
+// Character spans holding CI / margin-of-error numbers, so their percents are not read as estimates
+function _precisionSpans(text){
+  const spans = [];
+  for(const re of [CI_RE, PAREN_CI_RE, MOE_RE]){
+    re.lastIndex = 0;
+    let m;
+    while((m = re.exec(text))) spans.push({start:m.index, end:m.index + m[0].length});
+  }
+  return spans;
+}
+
+// window: text right after an estimate (up to the next estimate); val: the estimate in percent
+function readPrecision(window, val){
+  const out = {n:null, ci:null, suppressed:false};
+  const n = window.match(N_RE);
+  if(n) out.n = parseInt((n[1]||n[2]||n[3]).replace(/,/g,""),10);
+  CI_RE.lastIndex = 0; PAREN_CI_RE.lastIndex = 0; MOE_RE.lastIndex = 0;
+  const ci = CI_RE.exec(window) || PAREN_CI_RE.exec(window);
+  if(ci){
+    const lo = parseFloat(ci[1]), hi = parseFloat(ci[2]);
+    if(hi > lo) out.ci = {lo, hi};
+  }else{
+    const moe = MOE_RE.exec(window);
+    if(moe && val!=null) out.ci = {lo: Math.max(0, val - parseFloat(moe[1])), hi: Math.min(100, val + parseFloat(moe[1]))};
+  }
+  // footnote markers only count when they hang directly off the value ("8.5%*")
+  out.suppressed = /^\s*[*‡†]/.test(window) || SUPPRESS_RE.test(window);
+  return out;
+}
+
+function _sentences(text){
+  const out = [];
+  const re = /(?<=[.!?;])\s+/g;
+  let start = 0, m;
+  while((m = re.exec(text))){
+    out.push({text: text.slice(start, m.index), start});
+    start = m.index + m[0].length;
+  }
+  if(start < text.length) out.push({text: text.slice(start), start});
+  return out;
+}
+
+// Standalone sample-size lines ("Unweighted count 61.") with no estimate of their own: [{n, pos}]
+function findStandaloneCounts(text){
+  const out = [];
+  for(const s of _sentences(text)){
+    if(/\d\s*(?:%|por\s+ciento)/i.test(s.text.replace(CI_RE,""))) continue;
+    const m = s.text.match(N_RE);
+    if(m) out.push({n: parseInt((m[1]||m[2]||m[3]).replace(/,/g,""),10), pos: s.start});
+  }
+  return out;
+}
+
+// Percents that belong to a subgroup within one sentence/clause that mentions the disparity.
+// The sentence's layout decides the binding direction: "Hispanic 11%, White 6%" binds each
+// segment to the next free percent; "14% of low-income and 3% of other households" binds to
+// the preceding one. The other direction is the fallback.
+// -> [{segment, type, val, pos, snippet, n, ci, suppressed, confidence, reason, trigger}]
+function findSegmentValues(text, terms){
+  const out = [];
+  for(const {text: sentence, start: sStart} of _sentences(text)){
+    const hit = findTerms(sentence, terms)[0];
+    if(!hit) continue;
+    const segs = detectSegments(sentence);
+    if(!segs.length) continue;
+    // a negated mention ("did not report transportation problems") is evidence, not an estimate
+    const clause = _clauses(sentence).find(c=>hit.start >= c.start && hit.start <= c.end);
+    const negated = _isNegated(clause.text, hit.start - clause.start);
+    const skip = segs.concat(_precisionSpans(sentence));
+    const pcts = [];
+    const re = new RegExp(PCT_SRC, "gi");
+    let m;
+    while((m = re.exec(sentence))){
+      const start = m.index, end = m.index + m[0].length;
+      const val = _pctVal(m[1]);
+      // skip percents inside a segment label ("200% FPL") or a CI / margin of error
+      if(val>100 || skip.some(sg=>start < sg.end && end > sg.start)) continue;
+      pcts.push({val, start, end, used:false});
+    }
+    const percentFirst = pcts.length && pcts[0].start < segs[0].start;
+    segs.forEach((sg, i)=>{
+      const next = segs[i+1] ? segs[i+1].start : Infinity;
+      const prev = i>0 ? segs[i-1].end : -1;
+      const after = ()=>pcts.find(x=>!x.used && x.start >= sg.end && x.start < next);
+      const before = ()=>pcts.filter(x=>!x.used && x.start < sg.start && x.start > prev).pop();
+      const p = percentFirst ? (before() || after()) : (after() || before());
+      if(!p) return;
+      p.used = true;
+      const nextPct = pcts.find(x=>x.start > p.start);
+      const prec = readPrecision(sentence.slice(p.end, nextPct ? nextPct.start : sentence.length), p.val);
+      out.push({segment:sg.label, type:sg.type, val:p.val, pos:sStart + p.start, snippet:sentence.slice(0,280), ...prec,
+        confidence: negated ? 0.2 : 0.9, reason: negated ? "negated" : "", trigger:triggerOf(hit, sentence)});
+    });
+  }
+  return out;
+}
+
+// ------------------------------
+// Sentence-level indicator matching
+// A percent only counts for an indicator when it sits in the same sentence, bound to the clause that
+// names the indicator. Negated mentions ("did not report transportation problems") and unrelated
+// numbers (response rates, the size of a year-over-year change) are kept as low-confidence evidence, not findings.
+// ------------------------------
+const MATCH_MIN_CONFIDENCE = 0.6;
+// "8.5%", Spanish decimal comma "8,5 %", and "8.5 por ciento"
+const PCT_SRC = "(\\d{1,3}(?:[.,]\\d+)?)\\s*(?:%|por\\s+ciento\\b)";
+function _pctVal(s){ return parseFloat(String(s).replace(",", ".")); }
+const CLAUSE_SPLIT_RE = /[,;:]\s+|\s+(?:and|but|while|whereas|versus|vs\.?|compared (?:with|to)|y|pero|mientras que|en comparación con)\s+/gi;
+const NEGATION_RE = /\b(?:no|not|never|none|neither|nor|without|free of|nunca|ningún|ninguna|ni)(?![\p{L}])|n't\b/giu;
+// A cue only negates the indicator when it governs a reporting verb ("did not report transportation
+// problems", "did not have problems with housing"); "had no transportation", "without a car" and
+// "could not afford food" state the barrier itself
+const REPORT_VERB_RE = /\b(?:report(?:s|ed|ing)?|experienc(?:e|es|ed|ing)|cite[sd]?|mention(?:s|ed)?|indicate[sd]?|identif(?:y|ies|ied)|face[sd]?|encounter(?:s|ed)?)\b|\b(?:have|has|had|having)\s+(?:any\s+|a\s+)?(?:problems?|issues?|difficult(?:y|ies)|trouble|barriers?|concerns?)\b/i;
+// Spanish: "no reportaron problemas de transporte", "no tuvieron problemas con la vivienda"; "el 9% no
+// tiene transporte" states the barrier. Accented endings need the u flag and a letter lookahead.
+const REPORT_VERB_ES_RE = /(?:^|[^\p{L}])(?:report|mencion|experiment|indic)(?:ó|aron|an|a)(?![\p{L}])|(?:^|[^\p{L}])(?:tener|tiene|tienen|tuvo|tuvieron)\s+(?:ningún\s+|ninguna\s+)?(?:problemas?|dificultad(?:es)?|barreras?)(?![\p{L}])/iu;
+const OVERALL_MARKER_RE = /\b(?:overall|total|all (?:respondents|adults|residents)|county-?wide|service area|en general|todos los encuestados)\b/i;
+// Survey response rates never describe an indicator
+const RATE_CONTEXT_RE = /\b(?:response|completion|return|participation) rate\b|\bsurveys? (?:were )?returned\b|\btasa de respuesta\b/i;
+// Only the delta of a change is unrelated: "rose by 2%", "up from 7%", "a 3% increase", the 7% of
+// "from 7% to 9.4%". The value it moved to ("rose to 9.4%") is the estimate.
+const DELTA_BEFORE_RE = /\b(?:(?:increased|decreased|rose|fell|grew|declined|dropped|jumped|climbed|changed)(?:\s+(?:by|from))?|(?:up|down)\s+(?:by|from)|(?:increase|decrease|rise|drop|decline|change|gain)\s+of)\s*$/i;
+const DELTA_AFTER_RE = /^\s*(?:percentage\s+)?points?\b|^\s*pp\b|^\s*(?:increase|decrease|rise|drop|decline|change|gain)\b/i;
+// "aumentó en 2%", "un aumento de 3%", "2 puntos porcentuales"; "aumentó al 9,4%" is the estimate
+const DELTA_BEFORE_ES_RE = /(?:^|[^\p{L}])(?:(?:aument(?:ó|aron)|disminuy(?:ó|eron)|sub(?:ió|ieron)|baj(?:ó|aron)|crec(?:ió|ieron)|ca(?:yó|yeron))(?:\s+(?:en|desde(?:\s+el)?))?|(?:aumento|disminución|incremento|caída)\s+del?)\s*$/iu;
+const DELTA_AFTER_ES_RE = /^\s*puntos?(?![\p{L}])/iu;
+const FROM_TO_RE = { before: /\bfrom\s*$|(?:^|[^\p{L}])(?:de|del|desde(?:\s+el)?)\s*$/iu, after: /^[^.;]{0,24}?(?:\bto|(?:^|[^\p{L}])(?:a|al|hasta(?:\s+el)?))\s+\d/iu };
+
+function _escapeRe(s){ return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+function _clauses(sentence){
+  const out = [];
+  let start = 0, m;
+  CLAUSE_SPLIT_RE.lastIndex = 0;
+  while((m = CLAUSE_SPLIT_RE.exec(sentence))){
+    out.push({text: sentence.slice(start, m.index), start, end: m.index});
+    start = m.index + m[0].length;
+  }
+  out.push({text: sentence.slice(start), start, end: sentence.length});
+  return out;
+}
+
+// Is the keyword at kwIndex inside `clause` negated by a cue that governs a reporting verb
+// no more than five words before it?
+function _isNegated(clause, kwIndex){
+  const before = clause.slice(0, kwIndex);
+  let cue = null, m;
+  NEGATION_RE.lastIndex = 0;
+  while((m = NEGATION_RE.exec(before))) cue = m;
+  if(!cue) return false;
+  const between = before.slice(cue.index + cue[0].length);
+  if(between.trim().split(/\s+/).filter(Boolean).length > 5) return false;
+  return REPORT_VERB_RE.test(between) || REPORT_VERB_ES_RE.test(between);
+}
+
+// Is the percent between `before` and `after` the size of a change rather than a level?
+function _isDelta(before, after){
+  return DELTA_BEFORE_RE.test(before) || DELTA_AFTER_RE.test(after)
+    || DELTA_BEFORE_ES_RE.test(before) || DELTA_AFTER_ES_RE.test(after)
+    || (FROM_TO_RE.before.test(before) && FROM_TO_RE.after.test(after));
+}
+
+function _clausePercents(clause, skip){
+  const out = [];
+  const re = new RegExp(PCT_SRC, "gi");
+  let m;
+  while((m = re.exec(clause.text))){
+    const start = clause.start + m.index, end = start + m[0].length;
+    const val = _pctVal(m[1]);
+    if(val>100 || skip.some(sg=>start < sg.end && end > sg.start)) continue;
+    const unrelated = RATE_CONTEXT_RE.test(clause.text)
+      || _isDelta(clause.text.slice(0, m.index), clause.text.slice(m.index + m[0].length));
+    out.push({val, start, end, unrelated});
+  }
+  return out;
+}
+
+// Overall estimates for one indicator on one page.
+// terms: indicatorTerms() of the indicator; otherTerms: terms of the other taxonomy indicators
+// (a clause naming two indicators is ambiguous).
+// -> [{val, pos, snippet, confidence, reason, trigger, n, ci, suppressed}] (reason is "" for clean matches)
+function matchIndicator(text, terms, otherTerms=[]){
+  const out = [];
+  for(const {text: sentence, start: sStart} of _sentences(text)){
+    const hit = findTerms(sentence, terms)[0];
+    if(!hit) continue;
+    const otherHits = findTerms(sentence, otherTerms);
+    const namesOther = (c)=>otherHits.some(h=>h.start < c.end && h.end > c.start);
+    // subgroup sentences belong to findSegmentValues unless they also state the overall figure
+    const segs = detectSegments(sentence);
+    if(segs.length && !OVERALL_MARKER_RE.test(sentence)) continue;
+    const skip = segs.concat(_precisionSpans(sentence));
+    const clauses = _clauses(sentence);
+    const ci = Math.max(0, clauses.findIndex(c=>hit.start >= c.start && hit.start < Math.max(c.end, c.start+1)));
+    const kwClause = clauses[ci];
+    const snippet = sentence.slice(0,280);
+
+    let pick = null, confidence = 0, reasons = [];
+    const own = _clausePercents(kwClause, skip);
+    const ownUsable = own.filter(p=>!p.unrelated);
+    if(ownUsable.length){
+      // nearest percent to the keyword within its own clause
+      pick = ownUsable.slice().sort((a,b)=>Math.abs(a.start-hit.start)-Math.abs(b.start-hit.start))[0];
+      confidence = ownUsable.length>1 ? 0.8 : 0.9;
+    }else{
+      const near = [clauses[ci-1], clauses[ci+1]].filter(Boolean)
+        .filter(c=>!namesOther(c))
+        .flatMap(c=>_clausePercents(c, skip)).filter(p=>!p.unrelated);
+      if(near.length){
+        pick = near.sort((a,b)=>Math.abs(a.start-hit.start)-Math.abs(b.start-hit.start))[0];
+        confidence = 0.65;
+        reasons.push("percent in adjacent clause");
+      }else{
+        const any = clauses.flatMap(c=>_clausePercents(c, skip));
+        const loose = any.filter(p=>!p.unrelated);
+        pick = loose[0] || any[0] || null;
+        if(!pick) continue;
+        confidence = loose.length ? 0.35 : 0.1;
+        reasons.push(loose.length ? "percent not bound to the indicator" : "unrelated number (rate or change)");
+      }
+    }
+    if(namesOther(kwClause)){
+      confidence -= 0.3;
+      reasons.push("clause names another indicator");
+    }
+    if(_isNegated(kwClause.text, hit.start - kwClause.start)){
+      confidence = Math.min(confidence, 0.2);
+      reasons.push("negated");
+    }
+    const nextPct = own.concat(_clausePercents({text:sentence.slice(pick.end), start:pick.end}, skip)).find(x=>x.start > pick.start);
+    const prec = readPrecision(sentence.slice(pick.end, nextPct ? nextPct.start : sentence.length), pick.val);
+    out.push({val:pick.val, pos:sStart + pick.start, snippet, confidence:Math.max(0, +confidence.toFixed(2)), reason:reasons.join("; "),
+      trigger:triggerOf(hit, sentence), ...prec});
+  }
+  return out;
+}
+
+const SOURCE_RANK = {text:0, table:1, structured:2};
+// per-estimate fields reset whenever a better source replaces a finding
+const FINDING_DEFAULTS = {n:null, ci:null, suppressed:false, segmentType:null, confidence:null, snippet:null, trigger:null, doc:null};
+
+function addFinding(key, disparity, segment, magnitude, prominence, evidenceRef, meta={}){
   const id = `${key}__${segment}`;
+  const source = meta.source || "text";
   const ex = state.findings.find(x=>x.id===id);
   if(ex){
-    if(magnitude > ex.magnitude){
+    // Structured imports beat table cells, which beat regex hits from document text
+    const rank = SOURCE_RANK[source] || 0, exRank = SOURCE_RANK[ex.source] || 0;
+    const replace = rank > exRank || (rank===exRank && magnitude > ex.magnitude);
+    if(replace){
+      Object.assign(ex, FINDING_DEFAULTS, meta);
       ex.magnitude = magnitude;
       ex.prominence = Math.max(ex.prominence, prominence);
       ex.evidenceRef = evidenceRef;
+      ex.source = source;
     }
     return;
   }
@@ -123,53 +1129,557 @@ function addFinding(key, disparity, segment, magnitude, prominence, evidenceRef)
     concentration:0,
     score:0,
     recommend:"",
-    evidenceRef
+    evidenceRef,
+    ...FINDING_DEFAULTS,
+    ...meta,
+    source
   });
 }
 
 function scanDoc(doc){
   const prominence = {};
   for(const d of DISPARITIES){ prominence[d.key]=0; }
+  const lex = DISPARITIES.map(d=>({d, terms:indicatorTerms(d)}));
 
   for(let i=0;i<doc.textByPage.length;i++){
     const t = doc.textByPage[i] || "";
-    const lower = t.toLowerCase();
 
-    // prominence by keywords
-    for(const d of DISPARITIES){
-      for(const kw of d.keywords){
-        if(lower.includes(kw.toLowerCase())){ prominence[d.key] += 1; break; }
+    // prominence: pages mentioning the indicator in any language / synonym
+    const toks = _tokens(t);
+    for(const {d, terms} of lex){
+      if(findTerms(t, terms, toks).length) prominence[d.key] += 1;
+    }
+
+    // Reconstructed table cells (PDF layout) take precedence over text proximity matches
+    scanTables((doc.tablesByPage||[])[i], doc, i+1, prominence);
+
+    // Overall value: the most confident sentence-level match; weaker matches are kept as evidence only
+    for(const {d, terms} of lex){
+      const others = lex.filter(x=>x.d!==d).flatMap(x=>x.terms);
+      const matches = matchIndicator(t, terms, others);
+      const best = matches.filter(m=>m.confidence >= MATCH_MIN_CONFIDENCE).sort((a,b)=>b.confidence-a.confidence || a.pos-b.pos)[0];
+      for(const m of matches){
+        if(m.confidence < MATCH_MIN_CONFIDENCE) recordEvidence(d.label, m.snippet, doc.name, i+1, "text", m);
       }
+      if(!best) continue;
+      recordEvidence(d.label, best.snippet, doc.name, i+1, "text", best);
+      addFinding(d.key, d.label, "Overall", best.val, prominence[d.key], `${doc.name} p.${i+1}`, {doc:doc.name, n:best.n, ci:best.ci, suppressed:best.suppressed, confidence:best.confidence, snippet:best.snippet, trigger:best.trigger});
+    }
+    // Subgroup breakouts for every disparity (age, race/ethnicity, income, insurance, geography)
+    const segHits = [];
+    for(const {d, terms} of lex){
+      for(const sv of findSegmentValues(t, terms)) segHits.push({d, sv});
     }
+    // a standalone count line ("Unweighted count 61.") belongs to the nearest subgroup estimate above it
+    for(const c of findStandaloneCounts(t)){
+      const target = segHits.filter(h=>h.sv.pos < c.pos && h.sv.n==null).sort((a,b)=>b.sv.pos-a.sv.pos)[0];
+      if(target) target.sv.n = c.n;
+    }
+    for(const {d, sv} of segHits){
+      recordEvidence(d.label, sv.snippet, doc.name, i+1, "text", sv);
+      if(sv.confidence < MATCH_MIN_CONFIDENCE) continue;
+      addFinding(d.key, d.label, sv.segment, sv.val, prominence[d.key], `${doc.name} p.${i+1}`, {doc:doc.name, segmentType:sv.type, n:sv.n, ci:sv.ci, suppressed:sv.suppressed, confidence:sv.confidence, snippet:sv.snippet, trigger:sv.trigger});
+    }
+  }
+}
+
+
+// ------------------------------
+// Structured survey-table import (CSV / XLSX)
+// Long-format vendor tables: one row per indicator × segment, mapped by column.
+// Imported rows bypass text matching and are tagged source:"structured".
+// ------------------------------
+function parseCsv(text){
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  text = text.replace(/^\uFEFF/, "");
+  for(let i=0; i<text.length; i++){
+    const c = text[i];
+    if(quoted){
+      if(c==='"'){
+        if(text[i+1]==='"'){ cell += '"'; i++; }
+        else quoted = false;
+      }else cell += c;
+    }else if(c==='"') quoted = true;
+    else if(c===','){ row.push(cell); cell = ""; }
+    else if(c==='\n' || c==='\r'){
+      if(c==='\r' && text[i+1]==='\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    }else cell += c;
+  }
+  if(cell!=="" || row.length){ row.push(cell); rows.push(row); }
+  return rows.filter(r=>r.some(x=>String(x).trim()!==""));
+}
+
+async function readTableFile(file){
+  const ext = (file.name.split(".").pop()||"").toLowerCase();
+  if(ext==="xlsx" || ext==="xls"){
+    const wb = XLSX.read(await file.arrayBuffer(), {type:"array"});
+    const ws = wb.Sheets[wb.SheetNames[0]];
+    // raw:false keeps the displayed cell text, so percent-formatted cells arrive as "8.5%"
+    return XLSX.utils.sheet_to_json(ws, {header:1, raw:false, defval:""}).filter(r=>r.some(x=>String(x).trim()!==""));
+  }
+  return parseCsv(await file.text());
+}
+
+function matchDisparity(indicator){
+  const s = String(indicator||"").trim().toLowerCase();
+  if(!s) return null;
+  return DISPARITIES.find(d=>d.key===s || d.label.toLowerCase()===s) ||
+    DISPARITIES.find(d=>d.keywords.some(k=>s.includes(k.toLowerCase()))) ||
+    DISPARITIES.find(d=>findTerms(s, indicatorTerms(d)).length) || null;
+}
+
+function normalizeSegment(seg){
+  const s = String(seg||"").trim();
+  if(!s || /^(overall|total|all|all respondents)$/i.test(s)) return "Overall";
+  const age = s.match(/^(?:ages?\s*)?(\d{1,2})\s*(?:[-–]|to)\s*(\d{1,3})$/i);
+  if(age) return `Age ${age[1]}–${age[2]}`;
+  // a header that is just one recognizable segment ("Hispanic", "65+", "Medicaid") uses its canonical label
+  const core = s.replace(/\s+(?:residents|respondents|adults)$/i,"");
+  const segs = detectSegments(core);
+  if(segs.length===1 && segs[0].start===0 && segs[0].end===core.length) return segs[0].label;
+  return s;
+}
+
+function parsePercentCell(v){
+  const s = String(v==null ? "" : v).trim();
+  if(!s) return null;
+  const x = parseFloat(s.replace(/[%,\s]/g,""));
+  if(isNaN(x)) return null;
+  // same convention as _normRate: 0.085 is a proportion, 8.5 or "8.5%" is a percent
+  return (s.includes("%") || x > 1) ? x : x*100;
+}
+
+// map: {indicator, segment, value, n, page} -> column index (or -1 when not mapped)
+function structuredRowsFromTable(rows, map, docName){
+  const out = [], skipped = [];
+  const cell = (r, col)=> col>=0 ? String(r[col]==null ? "" : r[col]).trim() : "";
+  for(let i=1; i<rows.length; i++){
+    const r = rows[i];
+    const indicator = cell(r, map.indicator);
+    const d = matchDisparity(indicator);
+    const value = parsePercentCell(cell(r, map.value));
+    if(!d || value==null){
+      skipped.push(`row ${i+1}${indicator ? " ("+indicator+")" : ""}`);
+      continue;
+    }
+    const segment = normalizeSegment(cell(r, map.segment));
+    const n = parseInt(cell(r, map.n).replace(/,/g,""),10);
+    const page = parseInt(cell(r, map.page),10);
+    out.push({
+      key:d.key, indicator, segment, value,
+      n: isNaN(n) ? null : n,
+      page: isNaN(page) ? null : page,
+      doc: docName, row: i+1,
+      snippet: `${indicator} — ${segment}: ${fmtPct(value)}${isNaN(n) ? "" : " (n="+n+")"}`
+    });
+  }
+  return {rows: out, skipped};
+}
+
+function applyStructuredRows(year, current){
+  for(const r of state.structured){
+    if(year!=null && !_inCycle(r, year, current)) continue;
+    const d = DISPARITIES.find(x=>x.key===r.key);
+    if(!d) continue;
+    const ref = r.page ? `${r.doc} p.${r.page}` : `${r.doc} row ${r.row}`;
+    recordEvidence(d.label, r.snippet, r.doc, r.page || "—", "structured");
+    addFinding(d.key, d.label, r.segment, r.value, 1, ref, {source:"structured", doc:r.doc, n:r.n, snippet:r.snippet});
+  }
+}
+
+// ------------------------------
+// Benchmarks (state / national reference values)
+// One row per indicator, optionally per segment (age band): indicator, [segment], state, national.
+// A finding is compared with its own segment's benchmark, falling back to the indicator's overall row.
+// ------------------------------
+const BENCH_COLS = {
+  indicator: /indicator|measure|question|topic/i,
+  segment: /segment|group|^age|band/i,
+  state: /^(?!.*united states).*state/i,
+  national: /national|^us$|u\.s\.|united states|nation/i
+};
+
+function benchmarksFromTable(rows, docName){
+  const header = (rows[0] || []).map(h=>String(h).trim());
+  const col = {};
+  for(const [k, re] of Object.entries(BENCH_COLS)) col[k] = header.findIndex(h=>re.test(h));
+  if(col.indicator<0) throw new Error("no indicator column (expected a header such as \"Indicator\")");
+  if(col.state<0 && col.national<0) throw new Error("no State or National value column");
+  const cell = (r, c)=> c>=0 ? String(r[c]==null ? "" : r[c]).trim() : "";
+  const out = [], skipped = [];
+  for(let i=1; i<rows.length; i++){
+    const indicator = cell(rows[i], col.indicator);
+    const d = matchDisparity(indicator);
+    const stateVal = parsePercentCell(cell(rows[i], col.state));
+    const nationalVal = parsePercentCell(cell(rows[i], col.national));
+    if(!d || (stateVal==null && nationalVal==null)){
+      skipped.push(`row ${i+1}${indicator ? " ("+indicator+")" : ""}`);
+      continue;
+    }
+    out.push({key:d.key, indicator, segment:normalizeSegment(cell(rows[i], col.segment)), state:stateVal, national:nationalVal, doc:docName, row:i+1});
+  }
+  return {rows: out, skipped};
+}
+
+// State value preferred (closer to the assessment area), national when the state column is blank
+function benchmarkFor(f){
+  const rows = state.benchmarks.filter(b=>b.key===f.key);
+  const own = rows.find(b=>b.segment===f.segment);
+  const b = own || rows.find(b=>b.segment==="Overall");
+  if(!b) return null;
+  const level = b.state!=null ? "state" : "national";
+  const value = b.state!=null ? b.state : b.national;
+  return {value, level, segment:b.segment, gap: f.magnitude - value, ref:`${b.doc} row ${b.row}`};
+}
+
+// ------------------------------
+// Assessment-area geography
+// The bank's assessment area (counties and/or census tracts), an FFIEC-style tract income-level file
+// and a HUD-style ZIP-to-tract crosswalk. Each opportunity's target area (the driving finding's county
+// or ZIP, else the geographies the CHNA names for its service area) is resolved to tracts to measure
+// how much of it lies inside the AA and how much of that is low- or moderate-income.
+// ------------------------------
+const GEO_COLS = {
+  tract: /^(?:census\s*)?tract(?:\s*(?:geoid|fips|id|number))?$|^geoid$|^fips(?:\s*code)?$/i,
+  tractCode: /^tract\s*code$/i,
+  stateCode: /^state\s*(?:code|fips)$/i,
+  countyCode: /^county\s*(?:code|fips)$/i,
+  county: /^county(?:\s*name)?$/i,
+  zip: /^zip(?:\s*code)?$|^zcta$/i,
+  ratio: /^(?:res|tot|bus)?_?ratio$|residential ratio|share|allocation/i,
+  level: /income\s*level|income\s*(?:group|category)|^level$/i,
+  mfi: /mfi|median family income\s*%|% of (?:area )?median/i,
+  pop: /population|^pop$|persons/i
+};
+const LMI_LEVELS = ["low","moderate"];
+
+function _geoCols(rows){
+  const header = (rows[0] || []).map(h=>String(h).trim());
+  const col = {};
+  for(const [k, re] of Object.entries(GEO_COLS)) col[k] = header.findIndex(h=>re.test(h));
+  const cell = (r, c)=> c>=0 ? String(r[c]==null ? "" : r[c]).trim() : "";
+  return {col, cell};
+}
 
-    // Transportation overall
-    const tr = findPercentNear(t, "transportation");
-    if(tr){
-      recordEvidence("Transportation barrier", tr.snippet, doc.name, i+1);
-      addFinding("transport", "Transportation barrier", "Overall", tr.val, prominence["transport"], `${doc.name} p.${i+1}`);
-      if(state.transport.overall==null) state.transport.overall = tr.val;
-    }
-    // Transportation 65-74
-    const tr6574 = findAge6574Transport(t);
-    if(tr6574){
-      recordEvidence("Transportation barrier", tr6574.snippet, doc.name, i+1);
-      addFinding("transport", "Transportation barrier", "Age 65–74", tr6574.val, prominence["transport"], `${doc.name} p.${i+1}`);
-      state.transport.age6574 = tr6574.val;
-    }
-
-    // Other disparities
-    for(const d of DISPARITIES){
-      if(d.key==="transport") continue;
-      const primary = d.keywords[0];
-      const p = findPercentNear(t, primary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-      if(p){
-        recordEvidence(d.label, p.snippet, doc.name, i+1);
-        addFinding(d.key, d.label, "Overall", p.val, prominence[d.key], `${doc.name} p.${i+1}`);
+// 11-digit tract GEOID from one GEOID column, or from state + county + tract code columns
+function _tractId(r, col, cell){
+  const raw = cell(r, col.tract).replace(/\D/g,"");
+  if(raw.length>=10 && raw.length<=11) return raw.padStart(11, "0");
+  const code = cell(r, col.tractCode>=0 ? col.tractCode : col.tract);
+  const st = cell(r, col.stateCode).replace(/\D/g,""), co = cell(r, col.countyCode).replace(/\D/g,"");
+  if(!st || !co || !code) return null;
+  // FFIEC tract codes read "9501.00" or "9501"; the GEOID stores them as six digits
+  const m = code.match(/^(\d{1,4})(?:\.(\d{1,2}))?$/);
+  const tr = m ? m[1].padStart(4,"0") + (m[2]||"").padEnd(2,"0") : code.replace(/\D/g,"").padStart(6,"0");
+  return st.padStart(2,"0") + co.padStart(3,"0") + tr;
+}
+
+function _countyKey(name){
+  return String(name||"").toLowerCase().replace(/\s+(?:county|parish|borough)$/,"").replace(/\s+/g," ").trim();
+}
+
+// -> {entries:[{type:"county",id,name}|{type:"tract",id}], skipped}; one county or tract per row
+function aaFromTable(rows){
+  const {col, cell} = _geoCols(rows);
+  if(col.tract<0 && col.tractCode<0 && col.county<0 && col.countyCode<0) throw new Error("no County or Tract column");
+  const entries = [], skipped = [];
+  for(let i=1; i<rows.length; i++){
+    const tract = _tractId(rows[i], col, cell);
+    if(tract){ entries.push({type:"tract", id:tract}); continue; }
+    const name = cell(rows[i], col.county);
+    const fips = cell(rows[i], col.countyCode).replace(/\D/g,"");
+    const st = cell(rows[i], col.stateCode).replace(/\D/g,"");
+    if(name || fips) entries.push({type:"county", name, id: fips ? (fips.length<=3 && st ? st.padStart(2,"0") + fips.padStart(3,"0") : fips.padStart(5,"0")) : null});
+    else skipped.push(`row ${i+1}`);
+  }
+  return {entries, skipped};
+}
+
+// FFIEC tract income level: "Low"/"Moderate"/"Middle"/"Upper", or derived from tract MFI % of area median
+function _incomeLevel(text, mfi){
+  const t = String(text||"").toLowerCase();
+  if(/^\s*1\b|low/.test(t)) return "low";
+  if(/^\s*2\b|mod/.test(t)) return "moderate";
+  if(/^\s*3\b|mid/.test(t)) return "middle";
+  if(/^\s*4\b|upp/.test(t)) return "upper";
+  const v = parseFloat(String(mfi||"").replace(/[%,]/g,""));
+  if(isNaN(v) || v<=0) return "unknown";
+  return v<50 ? "low" : (v<80 ? "moderate" : (v<120 ? "middle" : "upper"));
+}
+
+// -> {tracts:{geoid:{level,county,pop}}, skipped}
+function tractsFromTable(rows){
+  const {col, cell} = _geoCols(rows);
+  if(col.tract<0 && col.tractCode<0) throw new Error("no Tract / GEOID column");
+  if(col.level<0 && col.mfi<0) throw new Error("no income level or tract MFI % column");
+  const tracts = {}, skipped = [];
+  for(let i=1; i<rows.length; i++){
+    const id = _tractId(rows[i], col, cell);
+    if(!id){ skipped.push(`row ${i+1}`); continue; }
+    const pop = parseInt(cell(rows[i], col.pop).replace(/,/g,""), 10);
+    tracts[id] = {level:_incomeLevel(cell(rows[i], col.level), cell(rows[i], col.mfi)), county:cell(rows[i], col.county), pop: isNaN(pop) ? null : pop};
+  }
+  return {tracts, skipped};
+}
+
+// -> {zips:{zip:[{tract,ratio}]}, skipped}; without a ratio column a ZIP is split evenly across its tracts
+function zipCrosswalkFromTable(rows){
+  const {col, cell} = _geoCols(rows);
+  if(col.zip<0 || (col.tract<0 && col.tractCode<0)) throw new Error("needs ZIP and Tract columns");
+  const zips = {}, skipped = [];
+  for(let i=1; i<rows.length; i++){
+    const zip = cell(rows[i], col.zip).replace(/\D/g,"").padStart(5, "0").slice(0, 5);
+    const tract = _tractId(rows[i], col, cell);
+    if(!/^\d{5}$/.test(zip) || zip==="00000" || !tract){ skipped.push(`row ${i+1}`); continue; }
+    const ratio = parseFloat(cell(rows[i], col.ratio));
+    (zips[zip] = zips[zip] || []).push({tract, ratio: isNaN(ratio) ? null : ratio});
+  }
+  for(const list of Object.values(zips)){
+    if(list.some(x=>x.ratio==null)) for(const x of list) x.ratio = 1/list.length;
+  }
+  return {zips, skipped};
+}
+
+function _tractInAA(id, t){
+  return state.geo.aa.some(a=>a.type==="tract" ? a.id===id :
+    ((a.id && id.startsWith(a.id)) || (a.name && t && t.county && _countyKey(a.name)===_countyKey(t.county))));
+}
+
+// A geography label from detectSegments ("Martin County", "ZIP 55060") -> {label, tracts:[{id,weight}], inAA}
+// inAA is set directly for a county when no tract file covers it: 1 when the AA file names it, 0 when the
+// AA lists counties only and this one is not among them
+function _resolveGeography(label){
+  const {tracts, zips} = state.geo;
+  const zip = label.match(/^ZIP (\d{5})$/);
+  if(zip){
+    return {label, tracts:(zips[zip[1]] || []).map(x=>({id:x.tract, weight:x.ratio}))};
+  }
+  const key = _countyKey(label);
+  const list = Object.entries(tracts).filter(([, t])=>_countyKey(t.county)===key);
+  if(list.length) return {label, tracts:list.map(([id, t])=>({id, weight:t.pop || 1}))};
+  const named = state.geo.aa.some(a=>a.type==="county" && a.name && _countyKey(a.name)===key);
+  // an AA made only of counties settles an unlisted county as outside; listed tracts could lie in it
+  const countyOnly = state.geo.aa.length && state.geo.aa.every(a=>a.type==="county");
+  return {label, tracts:[], inAA: named ? 1 : (countyOnly ? 0 : null)};
+}
+
+// Geographies the current-cycle CHNA names for its community served (all geographies it mentions when
+// it has no such section): [{label, doc, page}]
+function chnaGeographies(docs){
+  const found = [];
+  const add = (text, doc, page)=>{
+    for(const g of detectSegments(text)){
+      if(g.type==="geo" && !found.some(x=>x.label===g.label)) found.push({label:g.label, doc:doc.name, page});
+    }
+  };
+  for(const d of docs){
+    for(const sec of splitSections(d)){
+      if(sec.kinds.includes("community")) for(const c of sec.chunks) add(c.text, d, c.page);
+    }
+  }
+  if(!found.length){
+    for(const d of docs) (d.textByPage||[]).forEach((t, i)=>add(t || "", d, i+1));
+  }
+  return found;
+}
+
+// -> {geographies, inAA, lmiShare, tracts, attribution, note}; shares are resident-weighted within each
+// geography (tract population, or ZIP crosswalk ratio), then averaged across geographies
+function aaAttribution(geographies){
+  const DEFAULT = 70;
+  if(!state.geo.aa.length) return {geographies:geographies.map(g=>g.label), inAA:null, lmiShare:null, tracts:0, attribution:DEFAULT, note:"Default — load the assessment area to measure attribution."};
+  if(!geographies.length) return {geographies:[], inAA:null, lmiShare:null, tracts:0, attribution:DEFAULT, note:"Default — the CHNA names no county or ZIP for the target area."};
+  const parts = [];
+  let tractCount = 0;
+  for(const g of geographies){
+    const r = _resolveGeography(g.label);
+    if(!r.tracts.length){
+      if(r.inAA!=null) parts.push({inAA:r.inAA, lmi:null});
+      continue;
+    }
+    let total = 0, inAA = 0, lmi = 0, known = 0;
+    for(const {id, weight} of r.tracts){
+      const t = state.geo.tracts[id];
+      total += weight;
+      if(!_tractInAA(id, t)) continue;
+      inAA += weight;
+      if(t && t.level!=="unknown"){ known += weight; if(LMI_LEVELS.includes(t.level)) lmi += weight; }
+    }
+    tractCount += r.tracts.length;
+    if(total>0) parts.push({inAA: inAA/total, lmi: known>0 ? lmi/known : null});
+  }
+  if(!parts.length) return {geographies:geographies.map(g=>g.label), inAA:null, lmiShare:null, tracts:0, attribution:DEFAULT, note:"Default — the target geographies are not in the tract or ZIP files."};
+  const inAA = parts.reduce((a,p)=>a+p.inAA, 0)/parts.length;
+  const withLmi = parts.filter(p=>p.lmi!=null);
+  const lmiShare = withLmi.length ? withLmi.reduce((a,p)=>a+p.lmi, 0)/withLmi.length : null;
+  // inside the AA earns 60 points, LMI concentration within it up to 40; activity wholly outside the AA
+  // keeps a floor, since broader statewide or regional benefit can still be credited
+  const attribution = Math.round(Math.max(20, 100*inAA*(0.6 + 0.4*(lmiShare==null ? 0.5 : lmiShare))));
+  return {geographies:geographies.map(g=>g.label), inAA, lmiShare, tracts:tractCount, attribution,
+    note: lmiShare==null ? "Tract income levels not available for the AA portion; LMI share assumed at 50% for scoring." : ""};
+}
+
+// ------------------------------
+// Beneficiary log import (Tier 3)
+// Ride or service logs, one row per trip or service event, replace the assumed LMI and AA shares with
+// counts. LMI status comes from an eligibility flag, else beneficiary income as % of area median, else
+// the income level of the beneficiary's tract; AA share comes from the tract (or ZIP crosswalk tracts)
+// checked against the loaded assessment area.
+// ------------------------------
+const LOG_COLS = {
+  id: /^(?:beneficiary|client|rider|member|patient|person|participant)(?:\s*(?:id|#|no\.?|number))?$|^(?:mrn|id)$/i,
+  trips: /^(?:trips?|rides?|units?|services?)(?:\s*(?:count|delivered|provided))?$|^(?:count|quantity)$/i,
+  lmi: /lmi|eligib|low.?income|income\s*qualified/i,
+  income: /%\s*(?:of\s*)?a?mi\b|\ba?mi\s*%|income\s*(?:%|pct|percent)|percent of (?:area )?median/i
+};
+
+// "Yes"/"LMI"/"Low"/"1" -> true, "No"/"Not eligible"/"Middle" -> false, anything else -> null
+function _lmiFlag(text){
+  const t = String(text||"").trim().toLowerCase();
+  if(!t) return null;
+  if(/^(?:n|no|false|0|not|non)\b|ineligible|not\s+(?:lmi|eligible)|middle|upper/.test(t)) return false;
+  if(/^(?:y|yes|true|1|x)$|lmi|eligible|low|mod/.test(t)) return true;
+  return null;
+}
+
+// -> {rows, trips, lmiTrips, aaTrips, lmiAaTrips, beneficiaries, lmiBeneficiaries, tripsPerBeneficiary,
+//     lmiShare, aaShare, methods{flag,income,tract}, issues:[{row,id,reason,counted}]}; counted says how a
+//     flagged row still entered the counts ("as outside the AA", "as not LMI"), or is false when it was left out
+// Rows without a beneficiary ID or with an unreadable trip count are left out of every count; rows
+// that cannot be geocoded are counted as outside the AA, and rows with no LMI evidence as not LMI.
+function beneficiaryLogFromTable(rows){
+  const header = (rows[0] || []).map(h=>String(h).trim());
+  const {col, cell} = _geoCols(rows);
+  for(const [k, re] of Object.entries(LOG_COLS)) col[k] = header.findIndex(h=>re.test(h));
+  // a "Client income % AMI" header also matches the tract MFI pattern; keep it as beneficiary income
+  if(col.income>=0 && col.mfi===col.income) col.mfi = -1;
+  if(col.id<0) throw new Error("no beneficiary / client ID column");
+  if(col.zip<0 && col.tract<0 && col.tractCode<0) throw new Error("no ZIP or Tract column");
+  const hasAA = state.geo.aa.length>0;
+  const out = {rows: rows.length-1, trips:0, lmiTrips:0, aaTrips: hasAA ? 0 : null, lmiAaTrips: hasAA ? 0 : null,
+    beneficiaries:0, lmiBeneficiaries:0, tripsPerBeneficiary:null, lmiShare:null, aaShare:null,
+    methods:{flag:0, income:0, tract:0}, issues:[]};
+  const people = new Map();
+  for(let i=1; i<rows.length; i++){
+    const r = rows[i], row = i+1;
+    const id = cell(r, col.id);
+    const issue = (reason, counted)=>out.issues.push({row, id, reason, counted});
+    if(!id){ issue("Missing beneficiary ID", false); continue; }
+    const rawTrips = cell(r, col.trips);
+    const n = rawTrips==="" ? 1 : parseFloat(rawTrips.replace(/,/g,""));
+    if(isNaN(n) || n<0){ issue(`Unreadable trip count "${rawTrips}"`, false); continue; }
+
+    // geography -> [{id, weight}]
+    let tracts = [];
+    const tract = _tractId(r, col, cell);
+    const zip = cell(r, col.zip).replace(/\D/g,"").slice(0, 5);
+    if(tract) tracts = [{id:tract, weight:1}];
+    else if(/^\d{5}$/.test(zip)){
+      tracts = (state.geo.zips[zip] || []).map(x=>({id:x.tract, weight:x.ratio}));
+      if(!tracts.length) issue(`ZIP ${zip} not in the ZIP crosswalk`, "as outside the AA");
+    }else issue(zip ? `Invalid ZIP "${cell(r, col.zip)}"` : "Missing ZIP and tract", "as outside the AA");
+    const total = tracts.reduce((a,t)=>a+t.weight, 0);
+
+    let lmi = _lmiFlag(cell(r, col.lmi)), method = "flag";
+    if(lmi==null){
+      const pct = parseFloat(cell(r, col.income).replace(/[%,]/g,""));
+      if(!isNaN(pct) && pct>0){ lmi = pct<80; method = "income"; }
+    }
+    let lmiWeight = lmi==null ? 0 : (lmi ? 1 : 0);
+    if(lmi==null && total>0){
+      // geographic LMI: the share of the beneficiary's location in low- or moderate-income tracts
+      const known = tracts.filter(t=>state.geo.tracts[t.id] && state.geo.tracts[t.id].level!=="unknown");
+      if(known.length){
+        lmiWeight = known.filter(t=>LMI_LEVELS.includes(state.geo.tracts[t.id].level)).reduce((a,t)=>a+t.weight, 0)/known.reduce((a,t)=>a+t.weight, 0);
+        method = "tract";
       }
     }
+    if(lmi==null && method!=="tract") issue("No LMI flag, income or tract income level", "as not LMI");
+    else out.methods[method]++;
+
+    const inAA = hasAA && total>0 ? tracts.filter(t=>_tractInAA(t.id, state.geo.tracts[t.id])).reduce((a,t)=>a+t.weight, 0)/total : 0;
+    out.trips += n;
+    out.lmiTrips += n*lmiWeight;
+    if(hasAA){ out.aaTrips += n*inAA; out.lmiAaTrips += n*lmiWeight*inAA; }
+    const p = people.get(id) || {lmi:0};
+    p.lmi = Math.max(p.lmi, lmiWeight);
+    people.set(id, p);
+  }
+  out.beneficiaries = people.size;
+  out.lmiBeneficiaries = [...people.values()].filter(p=>p.lmi>=0.5).length;
+  if(out.beneficiaries) out.tripsPerBeneficiary = out.trips/out.beneficiaries;
+  if(out.trips){
+    out.lmiShare = out.lmiTrips/out.trips;
+    if(hasAA) out.aaShare = out.aaTrips/out.trips;
+  }
+  return out;
+}
+
+// ------------------------------
+// Document sections
+// Extractors report heading lines per page (PDF font size, Word heading styles, HTML <h1>–<h6>,
+// plain-text heading lines). Headings are located in the page text and a section runs from its
+// heading to the next one, across page breaks. Each heading is classified into section kinds.
+// ------------------------------
+const SECTION_KINDS = {
+  community:   {en:["community served","service area","community definition","defining the community","our community","community profile","geographic area"], es:["comunidad atendida","área de servicio","definición de la comunidad","perfil de la comunidad"]},
+  methods:     {en:["methods","methodology","data sources","data collection","approach","process","survey"], es:["metodología","métodos","fuentes de datos","recopilación de datos","proceso","encuesta"]},
+  input:       {en:["community input","stakeholder input","community engagement","public comment","written comments","comments","feedback","focus groups","key informant interviews"], es:["aportes de la comunidad","participación comunitaria","comentarios","grupos focales"]},
+  populations: {en:["underserved","populations","demographics","health equity","vulnerable"], es:["poblaciones","demografía","equidad en salud"]},
+  priorities:  {en:["priorities","prioritized","prioritization","significant health needs","priority health needs","identified health needs","key findings","findings"], es:["prioridades","priorización","necesidades de salud prioritarias","necesidades de salud significativas","hallazgos"]},
+  resources:   {en:["resources","assets","existing programs"], es:["recursos","programas existentes"]},
+  evaluation:  {en:["evaluation","impact","progress","previous chna","prior chna","accomplishments"], es:["evaluación","impacto","progreso","logros"]},
+  strategy:    {en:["implementation strategy","implementation plan","strategies","strategy","action plan","actions","goals","objectives"], es:["estrategia de implementación","plan de implementación","estrategias","plan de acción","acciones","objetivos"]},
+  partners:    {en:["partners","partnerships","collaboration","collaborators","coalition"], es:["socios","alianzas","colaboración","coalición"]}
+};
+const ELEMENT_MIN_WORDS = 40; // supporting text a relevant section needs before a hit in it counts as strong
+
+function sectionKinds(heading){
+  const toks = _tokens(heading);
+  return Object.keys(SECTION_KINDS).filter(kind=>{
+    const terms = ["en","es"].flatMap(lang=>SECTION_KINDS[kind][lang].map(p=>_term(p, lang, "keyword")));
+    return findTerms(heading, terms, toks).length > 0;
+  });
+}
+
+// -> [{start, text}] for each heading found in the page text, in order
+function _locateHeadings(pageText, headings){
+  const lower = pageText.toLowerCase();
+  const out = [];
+  let from = 0;
+  for(const h of headings || []){
+    const text = String(h||"").replace(/\s+/g,' ').trim();
+    if(!text) continue;
+    const at = lower.indexOf(text.toLowerCase(), from);
+    if(at < 0) continue;
+    out.push({start:at, text});
+    from = at + text.length;
   }
+  return out;
 }
 
+// -> [{heading, kinds[], chunks:[{page, start, text}], words}]; text before the first heading
+// forms an untitled section. The heading line is part of its own section's text.
+function splitSections(doc){
+  const sections = [];
+  let cur = {heading:null, kinds:[], chunks:[]};
+  sections.push(cur);
+  (doc.textByPage || []).forEach((text, i)=>{
+    const page = i+1;
+    let pos = 0;
+    for(const m of _locateHeadings(text || "", (doc.headingsByPage || [])[i])){
+      if(m.start > pos) cur.chunks.push({page, start:pos, text:text.slice(pos, m.start)});
+      cur = {heading:m.text, kinds:sectionKinds(m.text), chunks:[]};
+      sections.push(cur);
+      pos = m.start;
+    }
+    if(text && pos < text.length) cur.chunks.push({page, start:pos, text:text.slice(pos)});
+  });
+  for(const sec of sections) sec.words = sec.chunks.reduce((n, c)=>n + _tokens(c.text).length, 0);
+  return sections.filter(sec=>sec.chunks.length);
+}
 
 // ------------------------------
 // Tier 1 enhancement: CHNA/IS documentation + community input requirement gap checks
@@ -178,90 +1688,170 @@ function scanDoc(doc){
 // - Implementation strategy elements (3): actions for each need; resources and anticipated impact; planned collaborations.
 // - Written comments requirement (3): solicitation method; ≥1 written comment received; explanation of how comments were taken into account.
 // These checks are heuristic (keyword-based) and intended to speed a gap analysis / remediation workflow.
+// Each element lists the section kinds it belongs in (sections); a hit only counts as strong inside one of them.
+// fill: the prompt the Compliance Addendum draft leaves in place of a missing element.
 const CHNA_ELEMENTS = [
-  {id:"community_def", label:"Definition of community served + how determined", pats:["definition of the community","community served","service area","community definition","how the community was determined"]},
-  {id:"methods", label:"Process and methods used to conduct CHNA", pats:["methods","methodology","data sources","process used","approach","survey methodology","focus group"]},
-  {id:"input", label:"How input was solicited and taken into account (broad interests)", pats:["input from persons who represent","broad interests of the community","community input","stakeholder input","community representatives"]},
-  {id:"underserved", label:"Description of medically underserved / low-income / minority populations represented by input", pats:["medically underserved","low-income","minority populations","priority populations","vulnerable populations","underserved populations"]},
-  {id:"priorities", label:"Prioritized description of significant health needs", pats:["prioritized","priority health needs","significant health needs","ranked","top needs","prioritization"]},
-  {id:"resources", label:"Resources potentially available to address identified needs", pats:["resources available","available resources","community resources","assets","existing programs","capacity"]},
-  {id:"impact_eval", label:"Evaluation of impact since the immediately preceding CHNA", pats:["evaluation of impact","impact of actions","progress since","results since last","prior CHNA","evaluation since"]},
+  {id:"community_def", label:"Definition of community served + how determined", pats:["definition of the community","community served","service area","community definition","how the community was determined"], es:["definición de la comunidad","comunidad atendida","área de servicio","cómo se determinó la comunidad"], sections:["community"], fill:"Define the community served (counties, ZIP codes or service area) and explain how it was determined (e.g. patient origin, primary service area)."},
+  {id:"methods", label:"Process and methods used to conduct CHNA", pats:["methods","methodology","data sources","process used","approach","survey methodology","focus group"], es:["metodología","métodos","fuentes de datos","grupo focal","proceso utilizado"], sections:["methods"], fill:"Describe the process and methods: data sources and years, survey design and sample, focus groups or interviews, and any collaborating organizations or consultants."},
+  {id:"input", label:"How input was solicited and taken into account (broad interests)", pats:["input from persons who represent","broad interests of the community","community input","stakeholder input","community representatives"], es:["aportes de la comunidad","opiniones de la comunidad","representantes de la comunidad","participación comunitaria"], sections:["input","methods"], fill:"List who provided input (public health department, community members, organizations representing broad interests), how their input was solicited, and how it was taken into account."},
+  {id:"underserved", label:"Description of medically underserved / low-income / minority populations represented by input", pats:["medically underserved","low-income","minority populations","priority populations","vulnerable populations","underserved populations"], es:["médicamente desatendidas","bajos ingresos","poblaciones minoritarias","poblaciones vulnerables","poblaciones prioritarias"], sections:["populations","input","community"], fill:"Identify the medically underserved, low-income and minority populations represented by those providing input, and the organizations that represented them."},
+  {id:"priorities", label:"Prioritized description of significant health needs", pats:["prioritized","priority health needs","significant health needs","ranked","top needs","prioritization"], es:["priorizadas","necesidades de salud prioritarias","necesidades de salud significativas","priorización"], sections:["priorities"], fill:"List the significant health needs in priority order and describe the process and criteria used to prioritize them."},
+  {id:"resources", label:"Resources potentially available to address identified needs", pats:["resources available","available resources","community resources","assets","existing programs","capacity"], es:["recursos disponibles","recursos comunitarios","programas existentes"], sections:["resources","strategy"], fill:"List the resources potentially available in the community to address each significant need (facilities, organizations, programs)."},
+  {id:"impact_eval", label:"Evaluation of impact since the immediately preceding CHNA", pats:["evaluation of impact","impact of actions","progress since","results since last","prior CHNA","evaluation since"], es:["evaluación del impacto","impacto de las acciones","progreso desde","evaluación anterior"], sections:["evaluation"], fill:"Evaluate the impact of actions taken since the immediately preceding CHNA to address the needs it identified."},
 ];
 
 const IS_ELEMENTS = [
-  {id:"is_actions", label:"Actions to address each health need", pats:["actions the hospital will take","strategy","interventions","action plan","will address"]},
-  {id:"is_resources_impact", label:"Resources devoted + anticipated impact", pats:["resources devoted","anticipated impact","budget","investment","expected impact","metrics"]},
-  {id:"is_collab", label:"Planned collaborations with other institutions", pats:["collaboration","partner","coalition","in partnership with","collaborate with","community partners"]},
+  {id:"is_actions", label:"Actions to address each health need", pats:["actions the hospital will take","strategy","interventions","action plan","will address"], es:["acciones que tomará el hospital","estrategia","intervenciones","plan de acción"], sections:["strategy","priorities"], fill:"For each significant health need, describe the actions the hospital intends to take — or explain why it does not intend to address the need."},
+  {id:"is_resources_impact", label:"Resources devoted + anticipated impact", pats:["resources devoted","anticipated impact","budget","investment","expected impact","metrics"], es:["recursos dedicados","impacto previsto","presupuesto","inversión","métricas"], sections:["strategy","resources"], fill:"State the resources the hospital plans to commit to each action and the anticipated impact."},
+  {id:"is_collab", label:"Planned collaborations with other institutions", pats:["collaboration","partner","coalition","in partnership with","collaborate with","community partners"], es:["colaboración","socios comunitarios","en asociación con","coalición"], sections:["partners","strategy"], fill:"Describe any planned collaboration with other facilities or organizations for each action."},
 ];
 
 const WRITTEN_COMMENT_ELEMENTS = [
-  {id:"wc_solicit", label:"How written comments were solicited (most recent CHNA/IS)", pats:["written comments","public comment","comment period","solicit","feedback form","survey","web-based","paper survey","community forum","open house","telephone"]},
-  {id:"wc_received", label:"At least 1 written comment received", pats:["we received","comments were received","comment(s) received","written comment","responses received","feedback received"]},
-  {id:"wc_used", label:"How comments were taken into account in current CHNA/IS", pats:["taken into account","incorporated","informed","used to update","we considered","resulting changes","we adjusted","we revised"]},
+  {id:"wc_solicit", label:"How written comments were solicited (most recent CHNA/IS)", pats:["written comments","public comment","comment period","solicit","feedback form","survey","web-based","paper survey","community forum","open house","telephone"], es:["comentarios por escrito","comentarios públicos","periodo de comentarios","encuesta","foro comunitario"], sections:["input"], fill:"Describe how written comments on the most recent CHNA and IS were solicited (web form, email address, paper forms, comment period dates)."},
+  {id:"wc_received", label:"At least 1 written comment received", pats:["we received","comments were received","comments received","written comment","responses received","feedback received"], es:["recibimos","comentarios recibidos","respuestas recibidas"], sections:["input"], fill:"State whether any written comments were received, and how many. If none, say so explicitly."},
+  {id:"wc_used", label:"How comments were taken into account in current CHNA/IS", pats:["taken into account","incorporated","informed","used to update","we considered","resulting changes","we adjusted","we revised"], es:["se tomaron en cuenta","incorporados","se consideraron","cambios resultantes"], sections:["input","priorities","strategy"], fill:"Explain how the written comments received were taken into account in this CHNA and IS."},
 ];
 
-function _findSnippet(text, pat){
-  const idx = text.toLowerCase().indexOf(pat.toLowerCase());
-  if(idx < 0) return null;
+// Element patterns are English phrases (pats) plus Spanish equivalents (es), matched like taxonomy terms
+function elementTerms(el){
+  return el.pats.map(p=>_term(p, "en", "keyword")).concat((el.es||[]).map(p=>_term(p, "es", "keyword")));
+}
+
+function _snippetAt(text, idx){
   const start = Math.max(0, idx-90);
   const end = Math.min(text.length, idx+170);
   return text.slice(start,end).replace(/\s+/g,' ').trim();
 }
 
+const STRENGTH_POINTS = {strong:1, weak:0.5, absent:0};
+const STRENGTH_RANK = {strong:2, weak:1, absent:0};
+
+// Best supporting hit for one element across the document's sections:
+// strong = in a relevant section with enough supporting text; weak = thin relevant section,
+// outside any relevant section (a footnote or glossary mention), or no headings to judge by.
+function scoreElement(el, sections, sectioned){
+  const terms = elementTerms(el);
+  let best = null;
+  for(const sec of sections){
+    const relevant = sec.kinds.some(k=>(el.sections||[]).includes(k));
+    let strength = "weak", why;
+    if(!sectioned) why = "no section headings detected";
+    else if(!relevant) why = sec.heading ? `outside a relevant section (in “${sec.heading}”)` : "outside a relevant section (before the first heading)";
+    else if(sec.words < ELEMENT_MIN_WORDS) why = `relevant section is thin (${sec.words} words)`;
+    else { strength = "strong"; why = `in a relevant section (${sec.words} words)`; }
+    if(best && (STRENGTH_RANK[best.strength] > STRENGTH_RANK[strength] ||
+      (best.strength===strength && best.words >= sec.words))) continue;
+    for(const c of sec.chunks){
+      const hit = findTerms(c.text, terms)[0];
+      if(!hit) continue;
+      best = {strength, reason:why, page:c.page, section:sec.heading, words:sec.words,
+        trigger:triggerOf(hit, c.text), snippet:_snippetAt(c.text, hit.start)};
+      break;
+    }
+  }
+  return best || {strength:"absent", reason:"no matching text", page:null, section:null, words:0, trigger:null, snippet:""};
+}
+
 function evalDocForElements(doc){
   const all = (doc.textByPage||[]).join(" \n");
   const lower = all.toLowerCase();
 
-  const isCHNA = lower.includes("community health needs assessment") || lower.includes("chna");
-  const isIS = lower.includes("implementation strategy") || lower.includes("implementation plan") || lower.includes("implementation strategies");
+  const toks = _tokens(all);
+  const isCHNA = lower.includes("community health needs assessment") || lower.includes("chna") ||
+    findTerms(all, [_term("evaluación de necesidades de salud", "es", "keyword"), _term("evaluación de las necesidades de salud", "es", "keyword")], toks).length>0;
+  const isIS = lower.includes("implementation strategy") || lower.includes("implementation plan") || lower.includes("implementation strategies") ||
+    findTerms(all, [_term("estrategia de implementación", "es", "keyword"), _term("plan de implementación", "es", "keyword")], toks).length>0;
 
-  // Public availability signal (heuristic)
+  // Public availability signal (heuristic), with the page it appears on
   const publicPats = ["available on our website","posted on our website","publicly available","public comment","comment period","available online"];
-  const publicHit = publicPats.find(p=>lower.includes(p.toLowerCase()));
-  const publicSnippet = publicHit ? _findSnippet(all, publicHit) : null;
+  const publicEs = ["disponible en nuestro sitio web","publicado en nuestro sitio web","disponible al público","disponible en línea","comentarios del público"];
+  const publicTerms = publicPats.map(p=>_term(p, "en", "keyword")).concat(publicEs.map(p=>_term(p, "es", "keyword")));
+  let pub = null;
+  (doc.textByPage||[]).some((text, i)=>{
+    const hit = findTerms(text||"", publicTerms)[0];
+    if(hit) pub = {page:i+1, snippet:_snippetAt(text, hit.start), trigger:triggerOf(hit, text)};
+    return !!hit;
+  });
+
+  const sections = splitSections(doc);
+  const sectioned = sections.some(sec=>sec.heading);
 
   function scoreBlock(block){
-    let hits = [];
-    for(const el of block){
-      let found = null;
-      for(const p of el.pats){
-        if(lower.includes(p.toLowerCase())){ found = p; break; }
-      }
-      const snippet = found ? _findSnippet(all, found) : null;
-      hits.push({id:el.id, label:el.label, present: !!found, trigger: found || "", snippet: snippet || ""});
-    }
+    const hits = block.map(el=>{
+      const h = scoreElement(el, sections, sectioned);
+      return {id:el.id, label:el.label, present: h.strength!=="absent", ...h};
+    });
     const presentCount = hits.filter(h=>h.present).length;
-    const score = Math.round((presentCount / hits.length) * 100);
-    return {score, hits, presentCount, total:hits.length};
+    const strongCount = hits.filter(h=>h.strength==="strong").length;
+    const points = hits.reduce((n, h)=>n + STRENGTH_POINTS[h.strength], 0);
+    const score = Math.round((points / hits.length) * 100);
+    return {score, hits, presentCount, strongCount, total:hits.length};
   }
 
   const chna = scoreBlock(CHNA_ELEMENTS);
   const isb = scoreBlock(IS_ELEMENTS);
   const wc = scoreBlock(WRITTEN_COMMENT_ELEMENTS);
 
-  const wcScore = wc.presentCount===3 ? 100 : (wc.presentCount===2 ? 67 : (wc.presentCount===1 ? 33 : 0));
-  const publicScore = publicHit ? 100 : 0;
-
   return {
     doc: doc.name,
     isCHNA, isIS,
+    sectioned,
+    sectionCount: sections.filter(sec=>sec.heading).length,
     chnaScore: chna.score,
     isScore: isb.score,
-    writtenCommentsScore: wcScore,
-    publicScore,
+    writtenCommentsScore: wc.score,
+    wcPresent: wc.presentCount,
+    wcStrong: wc.strongCount,
+    publicScore: pub ? 100 : 0,
     chnaHits: chna.hits,
     isHits: isb.hits,
     wcHits: wc.hits,
-    publicSnippet: publicSnippet || ""
+    publicSnippet: pub ? pub.snippet : "",
+    publicPage: pub ? pub.page : null,
+    publicTrigger: pub ? pub.trigger : null
   };
 }
 
+// Evaluations of the current-cycle documents; Schedule H and the Compliance Addendum describe the latest
+// CHNA and its Implementation Strategy, not earlier cycles
+function currentCycleEval(){
+  const years = cycleYears();
+  const current = years.length ? years[years.length-1] : null;
+  return (state.chnaEval || []).filter(e=>{
+    const d = state.docs.find(x=>x.name===e.doc);
+    return !d || _inCycle(d, current, current);
+  });
+}
+
+// Strongest hit for one element across the current-cycle documents -> {doc, hit} (null before processing).
+// CHNA elements count only from documents read as a CHNA, IS elements only from an Implementation Strategy.
+function bestElementHit(id){
+  let best = null;
+  for(const d of currentCycleEval()){
+    const h = (d.isCHNA ? d.chnaHits : []).concat(d.isIS ? d.isHits : [], d.wcHits).find(x=>x.id===id);
+    if(h && (!best || STRENGTH_RANK[h.strength] > STRENGTH_RANK[best.hit.strength])) best = {doc:d.doc, hit:h};
+  }
+  return best;
+}
+
+const STRENGTH_BADGE = {strong:'<span class="badge b-strong">Strong</span>', weak:'<span class="badge b-mod">Weak</span>', absent:'<span class="badge b-weak">Absent</span>'};
+
+// "Meets (3/3)" only when every part is strongly documented; weak parts are called out
+function wcLabel(present, strong){
+  if(present===0) return "Missing (0/3)";
+  if(present<3) return `Partial (${present}/3)`;
+  return strong===3 ? "Meets (3/3)" : `Meets (3/3, ${3-strong} weak)`;
+}
+
 function renderChnaGaps(){
   const tbl = document.getElementById("tbl_chna_gaps");
   if(!tbl) return;
+  const elTbl = document.getElementById("tbl_chna_elements");
+  const elHead = "<tr><th>Document</th><th>Element</th><th>Strength</th><th>Page</th><th>Section</th><th>Matched</th></tr>";
 
   if(!state.chnaEval || state.chnaEval.length===0){
     tbl.innerHTML = "<tr><th>Document</th><th>CHNA score</th><th>IS score</th><th>Written comments</th><th>Public availability</th><th>Top gaps (auto)</th><th>Evidence</th></tr><tr><td colspan='7'>Process documents to populate.</td></tr>";
+    if(elTbl) elTbl.innerHTML = elHead + "<tr><td colspan='6'>Process documents to populate.</td></tr>";
     const rec = document.getElementById("chna_gap_recs");
     if(rec) rec.textContent = "Process documents to generate.";
     document.getElementById("kpi_chna_q").textContent = "—";
@@ -274,39 +1864,56 @@ function renderChnaGaps(){
   // Aggregate KPIs across docs (take max score across docs, since some uploads may be partial excerpts)
   const chnaMax = Math.max(...state.chnaEval.map(x=>x.chnaScore||0));
   const isMax = Math.max(...state.chnaEval.map(x=>x.isScore||0));
-  const wcMax = Math.max(...state.chnaEval.map(x=>x.writtenCommentsScore||0));
+  const wcBest = state.chnaEval.reduce((a, x)=>(!a || x.writtenCommentsScore > a.writtenCommentsScore) ? x : a, null);
+  const wcMax = wcBest.writtenCommentsScore;
   const pubMax = Math.max(...state.chnaEval.map(x=>x.publicScore||0));
 
   document.getElementById("kpi_chna_q").textContent = chnaMax + "/100";
   document.getElementById("kpi_is_q").textContent = isMax + "/100";
-  document.getElementById("kpi_input_req").textContent = wcMax===100 ? "Meets (3/3)" : (wcMax===67 ? "Partial (2/3)" : (wcMax===33 ? "Weak (1/3)" : "Missing (0/3)"));
+  document.getElementById("kpi_input_req").textContent = wcLabel(wcBest.wcPresent, wcBest.wcStrong);
   document.getElementById("kpi_public_avail").textContent = pubMax===100 ? "Detected" : "Not detected";
 
   let html = "<tr><th>Document</th><th>CHNA score</th><th>IS score</th><th>Written comments</th><th>Public availability</th><th>Top gaps (auto)</th><th>Evidence</th></tr>";
+  let elHtml = elHead;
   const gapsAll = [];
+  let weakCount = 0, unsectioned = 0;
   for(const d of state.chnaEval){
-    const gaps = [];
-    // pick top 3 gaps across blocks
-    const miss = []
-      .concat(d.chnaHits.filter(h=>!h.present).map(h=>({label:h.label, snippet:h.snippet})))
-      .concat(d.isHits.filter(h=>!h.present).map(h=>({label:h.label, snippet:h.snippet})))
-      .concat(d.wcHits.filter(h=>!h.present).map(h=>({label:h.label, snippet:h.snippet})));
-
-    miss.slice(0,3).forEach(m=>gaps.push(m.label));
+    const all = d.chnaHits.concat(d.isHits, d.wcHits);
+    // top 3 gaps: absent elements first, then weakly documented ones
+    const gaps = all.filter(h=>h.strength==="absent").map(h=>h.label)
+      .concat(all.filter(h=>h.strength==="weak").map(h=>`${h.label} (weak)`)).slice(0,3);
     gapsAll.push(...gaps);
-
-    const ev = (d.publicSnippet ? `Public signal: ${d.publicSnippet}` : "") || (d.wcHits.find(h=>h.present && h.snippet)?.snippet || "") || (d.chnaHits.find(h=>h.present && h.snippet)?.snippet || "");
+    weakCount += all.filter(h=>h.strength==="weak").length;
+    if(!d.sectioned) unsectioned++;
+
+    const ev = d.publicSnippet
+      ? `Public signal (p.${d.publicPage}): ${d.publicSnippet}`
+      : ((d.wcHits.find(h=>h.present && h.snippet)?.snippet || "") || (d.chnaHits.find(h=>h.present && h.snippet)?.snippet || ""));
+    const wcBadge = d.wcPresent===3 && d.wcStrong===3 ? '<span class="badge b-strong">Meets (3/3)</span>'
+      : (d.wcPresent>=2 ? `<span class="badge b-mod">${escapeHtml(wcLabel(d.wcPresent, d.wcStrong))}</span>` : '<span class="badge b-weak">Gap</span>');
     html += `<tr>
-      <td class="mono"><b>${escapeHtml(d.doc)}</b></td>
+      <td class="mono"><b>${escapeHtml(d.doc)}</b>${d.sectioned ? `<div class="small">${d.sectionCount} section(s)</div>` : '<div class="small">No headings detected</div>'}</td>
       <td class="mono">${d.isCHNA ? (d.chnaScore + "/100") : "—"}</td>
       <td class="mono">${d.isIS ? (d.isScore + "/100") : "—"}</td>
-      <td>${d.writtenCommentsScore===100 ? '<span class="badge b-strong">Meets (3/3)</span>' : (d.writtenCommentsScore>=67 ? '<span class="badge b-mod">Partial</span>' : '<span class="badge b-weak">Gap</span>')}</td>
+      <td>${wcBadge}</td>
       <td>${d.publicScore===100 ? '<span class="badge b-strong">Detected</span>' : '<span class="badge b-weak">Not detected</span>'}</td>
       <td>${escapeHtml(gaps.join("; ") || "—")}</td>
       <td>${escapeHtml(ev || "—")}</td>
     </tr>`;
+
+    for(const h of all){
+      elHtml += `<tr>
+        <td class="mono">${escapeHtml(d.doc)}</td>
+        <td>${escapeHtml(h.label)}</td>
+        <td>${STRENGTH_BADGE[h.strength]}<div class="small">${escapeHtml(h.reason)}</div></td>
+        <td class="mono">${h.page ? sourceButton(d.doc, h.page, h.snippet, "p." + h.page) : "—"}</td>
+        <td>${escapeHtml(h.section || (h.page ? "(untitled)" : "—"))}</td>
+        <td>${h.trigger ? `${escapeHtml(fmtTrigger(h.trigger))}<div class="small">${escapeHtml(h.snippet)}</div>` : "—"}</td>
+      </tr>`;
+    }
   }
   tbl.innerHTML = html;
+  if(elTbl) elTbl.innerHTML = elHtml;
 
   // Remediation recs
   const rec = [];
@@ -323,12 +1930,313 @@ function renderChnaGaps(){
   if(pubMax < 100){
     rec.push("Public availability signal not detected in the uploaded excerpts: ensure the CHNA and IS are clearly posted online and the document states where/how the public can access them.");
   }
-  rec.push("Operationalizing fix: add a one-page ‘CHNA/IS Compliance Addendum’ template with these elements, then paste into the CHNA and IS PDFs for audit-ready completeness.");
+  if(weakCount){
+    rec.push(`${weakCount} element(s) are only weakly documented (a passing mention, a thin section, or text outside the relevant section): give each its own headed section with the supporting detail.`);
+  }
+  if(unsectioned){
+    rec.push(`${unsectioned} document(s) had no detectable headings, so element hits could not be tied to sections; upload the tagged PDF or Word version if available.`);
+  }
+  rec.push("Operationalizing fix: generate the ‘CHNA/IS Compliance Addendum’ (Application Drafts → Artifact Type), complete its fill-in sections, then append it to the CHNA and IS PDFs for audit-ready completeness.");
 
   const recEl = document.getElementById("chna_gap_recs");
   if(recEl) recEl.textContent = rec.join(" ");
 }
 
+// ------------------------------
+// Materiality and opportunity scoring
+// Component caps, the values that earn full points and the Advance thresholds are editable and can be
+// saved as named profiles, since bank and hospital committees weigh these differently.
+// ------------------------------
+const MATERIALITY_STORAGE_KEY = "chna_cra_materiality_v1";
+const MATERIALITY_DEFAULTS = {
+  magCap:60, magFull:30,       // magnitude: up to magCap points, full at magFull %
+  concCap:25, concFull:15,     // subgroup differential (segment − overall), full at concFull points
+  promCap:15, promFull:6,      // prominence across documents, full at promFull mentions
+  ampCap:10, ampSlope:8,       // amplification bonus for "amplify" indicators: (highest segment ÷ overall − 1) × ampSlope
+  trendCap:10, trendPerPp:2,   // worsening since the prior cycle: trendPerPp points per percentage point
+  benchCap:15, benchFull:10,   // gap to state/national benchmark, full at benchFull points
+  reachCap:0, reachFull:10000, // estimated people affected (rate × population); off until a profile gives it points
+  nsShare:0.25,                // share of differential/amplification points kept when the gap is not significant
+  advanceHigh:70, advanceModerate:55
+};
+const MATERIALITY_FIELDS = [
+  {key:"magCap", label:"Magnitude cap (pts)"}, {key:"magFull", label:"Magnitude for full points (%)"},
+  {key:"concCap", label:"Differential cap (pts)"}, {key:"concFull", label:"Differential for full points (pp)"},
+  {key:"promCap", label:"Prominence cap (pts)"}, {key:"promFull", label:"Mentions for full points"},
+  {key:"ampCap", label:"Amplification bonus cap (pts)"}, {key:"ampSlope", label:"Amplification pts per 1× ratio"},
+  {key:"trendCap", label:"Worsening trend cap (pts)"}, {key:"trendPerPp", label:"Trend pts per pp worse"},
+  {key:"benchCap", label:"Benchmark gap cap (pts)"}, {key:"benchFull", label:"Benchmark gap for full points (pp)"},
+  {key:"reachCap", label:"People-affected cap (pts)"}, {key:"reachFull", label:"People affected for full points"},
+  {key:"nsShare", label:"Non-significant gap keeps (0–1)"},
+  {key:"advanceHigh", label:"Advance (high) at score ≥"}, {key:"advanceModerate", label:"Advance (moderate) at score ≥"}
+];
+// the caps the sensitivity view varies one at a time
+const SENSITIVITY_COMPONENTS = [
+  {key:"magCap", label:"Magnitude"}, {key:"concCap", label:"Differential"}, {key:"promCap", label:"Prominence"},
+  {key:"ampCap", label:"Amplification"}, {key:"trendCap", label:"Trend"}, {key:"benchCap", label:"Benchmark gap"},
+  {key:"reachCap", label:"People affected"}
+];
+
+// -> {active, profiles:{name: weights}}; "Default" is always present and always the built-in values
+function loadMaterialityProfiles(){
+  const out = {active:"Default", profiles:{}};
+  try{
+    const saved = JSON.parse(localStorage.getItem(MATERIALITY_STORAGE_KEY) || "null");
+    if(saved && saved.profiles && typeof saved.profiles==="object"){
+      for(const [name, w] of Object.entries(saved.profiles)){
+        const v = validateWeights(w);
+        if(!v.error) out.profiles[name] = v.weights;
+      }
+      if(out.profiles[saved.active]) out.active = saved.active;
+    }
+  }catch(e){
+    console.error(e);
+  }
+  out.profiles.Default = {...MATERIALITY_DEFAULTS};
+  return out;
+}
+
+function saveMaterialityProfiles(){
+  const {active, profiles} = state.materiality;
+  const custom = Object.fromEntries(Object.entries(profiles).filter(([name])=>name!=="Default"));
+  try{ localStorage.setItem(MATERIALITY_STORAGE_KEY, JSON.stringify({active, profiles:custom})); }catch(e){ console.error(e); }
+}
+
+// -> {weights} or {error}; missing fields fall back to the defaults
+function validateWeights(w){
+  const weights = {};
+  for(const {key, label} of MATERIALITY_FIELDS){
+    const v = (w && w[key]!=null && w[key]!=="") ? Number(w[key]) : MATERIALITY_DEFAULTS[key];
+    if(!isFinite(v) || v<0) return {error:`${label} must be a number ≥ 0.`};
+    weights[key] = v;
+  }
+  for(const k of ["magFull","concFull","promFull","benchFull","reachFull"]){
+    if(weights[k]<=0) return {error:`${MATERIALITY_FIELDS.find(f=>f.key===k).label} must be greater than 0.`};
+  }
+  if(weights.nsShare > 1) return {error:"The share kept for non-significant gaps must be between 0 and 1."};
+  if(weights.advanceModerate > weights.advanceHigh) return {error:"The Advance (moderate) threshold cannot exceed the Advance (high) threshold."};
+  return {weights};
+}
+
+function activeWeights(){
+  const m = state.materiality;
+  return (m && m.profiles[m.active]) || MATERIALITY_DEFAULTS;
+}
+
+function recommendFor(score, W){
+  return (score>=W.advanceHigh) ? "Advance (high)" : (score>=W.advanceModerate ? "Advance (moderate)" : "Defer/monitor");
+}
+
+// Subgroup amplification per indicator (taxonomy "amplify"): highest segment vs overall
+function amplificationBonus(findings, W){
+  const bonus = {};
+  for(const d of DISPARITIES){
+    const list = findings.filter(f=>f.key===d.key);
+    if(!d.amplify || !list.length) continue;
+    const overall = list.find(x=>x.segment==="Overall");
+    const subs = list.filter(x=>x.segment!=="Overall");
+    if(!overall || overall.magnitude<=0 || !subs.length) continue;
+    // a segment whose gap failed its significance test only counts for its nsShare
+    bonus[d.key] = Math.max(...subs.map(x=>clamp((x.magnitude/overall.magnitude - 1)*W.ampSlope, 0, W.ampCap) * significanceShare(x, W)));
+  }
+  return bonus;
+}
+
+// Score one finding under weights W; reads the reliability, concentration, trend and benchmark
+// computeMateriality has already attached, and changes nothing on the finding.
+function scoreFinding(f, W, ampBonus){
+  const w = RELIABILITY_WEIGHT[f.reliability] ?? 1;
+  const magScore = clamp((f.magnitude/W.magFull)*W.magCap, 0, W.magCap) * w;
+  const concScore = clamp((f.concentration/W.concFull)*W.concCap, 0, W.concCap) * w * significanceShare(f, W);
+  const promScore = clamp((f.prominence/W.promFull)*W.promCap, 0, W.promCap);
+  const trendScore = (f.trend && f.trend.direction==="worsening") ? clamp(f.trend.change*W.trendPerPp, 0, W.trendCap) * w : 0;
+  const benchScore = (state.useBenchmarkGap && f.benchmark) ? clamp((f.benchmark.gap/W.benchFull)*W.benchCap, 0, W.benchCap) * w : 0;
+  const reachScore = f.affected!=null ? clamp((f.affected/W.reachFull)*W.reachCap, 0, W.reachCap) * w : 0;
+  let score = clamp(Math.round(magScore + concScore + promScore + trendScore + benchScore + reachScore), 0, 100);
+  if(ampBonus[f.key]) score = clamp(score + Math.round(ampBonus[f.key]), 0, 100);
+  return {score, recommend: recommendFor(score, W)};
+}
+
+// ------------------------------
+// Population denominators
+// Service-area and segment populations read from the CHNA ("a population of 48,200", "6,100 residents
+// aged 65–74") or entered by the analyst, so each finding can carry an estimated count of people affected.
+// Analyst entries persist in this browser and take precedence over extracted values.
+// ------------------------------
+const POPULATION_STORAGE_KEY = "chna_cra_populations_v1";
+const POP_COUNT = String.raw`(\d{1,3}(?:,\d{3})+|\d{4,})`;
+const POPULATION_RES = [
+  new RegExp(String.raw`\b(?:population|población)\b[^.;\d%]{0,40}?${POP_COUNT}(?![\d%])`, "giu"),
+  new RegExp(String.raw`${POP_COUNT}\s+(?:residents|people|persons|individuals|adults|seniors|children|habitantes|residentes|personas)\b(?!\s+(?:(?:were|who)\s+)?(?:surveyed|interviewed|responded|completed|participated|encuestad[oa]s))`, "giu")
+];
+// "We surveyed 1,482 adults", "a sample of 900 residents", "respondents (1,200 adults)" count the survey, not the community
+const SAMPLE_CONTEXT_RE = /(?:^|[^\p{L}])(?:surveyed|interviewed|sampled|sample of|respondents?|responses? from|completed by|completed|encuest\p{L}*|muestra de)(?![\p{L}])[^.;\d]{0,30}$/iu;
+const SERVICE_AREA_RE = /service area|total population|community served|área de servicio|población total/i;
+
+function loadPopulations(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(POPULATION_STORAGE_KEY) || "{}");
+    const out = {};
+    for(const [seg, v] of Object.entries(saved)){ if(Number(v)>0) out[seg] = Math.round(Number(v)); }
+    return out;
+  }catch(e){
+    console.error(e);
+    return {};
+  }
+}
+
+// -> {segment label: {value, doc, page, snippet}}; the first statement found for a segment wins, except
+// that a "population of" statement replaces a bare "N adults" count
+function extractPopulations(docs){
+  const out = {}, geo = {}, rank = new Map();
+  const keep = (map, label, hit, r)=>{
+    if(map[label] && rank.get(map[label]) <= r) return;
+    map[label] = hit;
+    rank.set(hit, r);
+  };
+  for(const d of docs){
+    (d.textByPage||[]).forEach((text, i)=>{
+      for(const sent of _sentences(text || "")){
+        POPULATION_RES.forEach((re, r)=>{
+          re.lastIndex = 0;
+          let m;
+          while((m = re.exec(sent.text))){
+            const value = parseInt(m[1].replace(/,/g,""), 10);
+            if(!m[1].includes(",") && value>=1900 && value<=2100) continue; // a year, not a count
+            if(r>0 && SAMPLE_CONTEXT_RE.test(sent.text.slice(0, m.index))) continue;
+            const at = m.index + m[0].length/2;
+            const segs = detectSegments(sent.text).sort((a,b)=>Math.abs((a.start+a.end)/2 - at) - Math.abs((b.start+b.end)/2 - at));
+            const seg = segs.find(x=>x.type!=="geo") || segs[0];
+            const hit = {value, doc:d.name, page:i+1, snippet:sent.text.trim().slice(0, 220)};
+            if(seg && seg.type==="geo" && !SERVICE_AREA_RE.test(sent.text)){
+              keep(geo, seg.label, hit, r);
+            }else{
+              keep(out, (!seg || seg.type==="geo") ? "Overall" : seg.label, hit, r);
+            }
+          }
+        });
+      }
+    });
+  }
+  for(const [label, hit] of Object.entries(geo)){ if(!out[label]) out[label] = hit; }
+  // a single county named with its population is usually the service area itself
+  const geoLabels = Object.keys(geo);
+  if(!out.Overall && geoLabels.length===1) out.Overall = {...geo[geoLabels[0]], basis:geoLabels[0]};
+  return out;
+}
+
+// -> {value, source:"manual"|"extracted", ref} or null
+function populationFor(segment){
+  const {manual, extracted} = state.populations;
+  if(manual[segment]) return {value:manual[segment], source:"manual", ref:"Analyst entry"};
+  const x = extracted[segment];
+  return x ? {value:x.value, source:"extracted", ref:`${x.doc} p.${x.page}`, snippet:x.snippet} : null;
+}
+
+// Rank, score and recommendation of every current finding under alternative weights: each other saved
+// profile, then each component cap scaled down and up by step with the rest held at the active profile.
+function sensitivityAnalysis(step=0.5){
+  const base = activeWeights();
+  const findings = state.findings; // already ranked under the active weights
+  const m = state.materiality || {active:"Default", profiles:{}};
+  const scenarios = Object.entries(m.profiles).filter(([name])=>name!==m.active)
+    .map(([name, w])=>({id:`profile:${name}`, label:`Profile “${name}”`, weights:w}));
+  for(const c of SENSITIVITY_COMPONENTS){
+    if(!base[c.key]) continue; // a component the active profile switched off has nothing to scale
+    for(const dir of [-1, 1]){
+      scenarios.push({id:`${c.key}:${dir}`, label:`${c.label} cap ${dir<0 ? "−" : "+"}${Math.round(step*100)}%`,
+        weights:{...base, [c.key]: base[c.key]*(1 + dir*step)}});
+    }
+  }
+  const rankUnder = (W)=>{
+    const amp = amplificationBonus(findings, W);
+    const order = findings.map(f=>({id:f.id, ...scoreFinding(f, W, amp)})).sort((a,b)=>b.score-a.score);
+    return Object.fromEntries(order.map((x, i)=>[x.id, {score:x.score, recommend:x.recommend, rank:i+1}]));
+  };
+  const results = scenarios.map(sc=>({...sc, byId:rankUnder(sc.weights)}));
+  const rows = findings.map((f, i)=>{
+    const alt = results.map(r=>r.byId[f.id]);
+    const ranks = alt.map(a=>a.rank).concat(i+1), scores = alt.map(a=>a.score).concat(f.score);
+    return {id:f.id, disparity:f.disparity, segment:f.segment, rank:i+1, score:f.score, recommend:f.recommend,
+      rankMin:Math.min(...ranks), rankMax:Math.max(...ranks), scoreMin:Math.min(...scores), scoreMax:Math.max(...scores),
+      flips: results.filter(r=>r.byId[f.id].recommend!==f.recommend).map(r=>`${r.label}: ${r.byId[f.id].recommend}`)};
+  });
+  const summary = results.map(r=>({id:r.id, label:r.label,
+    rankChanges: findings.filter((f, i)=>r.byId[f.id].rank!==i+1).length,
+    recChanges: findings.filter(f=>r.byId[f.id].recommend!==f.recommend).length,
+    top: findings.find(f=>r.byId[f.id].rank===1) || null}));
+  return {step, rows, summary};
+}
+
+// Estimate reliability from the published CI when present, else from n (binomial SE).
+// Cut-offs follow common survey-suppression practice: n<30 or RSE>30% is unstable, n<50 or RSE>20% needs caution.
+const RELIABILITY_WEIGHT = {stable:1, unknown:1, caution:0.85, unstable:0.6, suppressed:0.4};
+function assessReliability(f){
+  if(f.suppressed) return {reliability:"suppressed", rse:null};
+  const p = f.magnitude/100;
+  let se = null;
+  if(f.ci && f.ci.hi > f.ci.lo) se = (f.ci.hi - f.ci.lo)/100/(2*1.96);
+  else if(f.n && p>0 && p<1) se = Math.sqrt(p*(1-p)/f.n);
+  if(se==null || p<=0) return {reliability:"unknown", rse:null};
+  const rse = se/p;
+  if((f.n!=null && f.n<30) || rse>0.30) return {reliability:"unstable", rse};
+  if((f.n!=null && f.n<50) || rse>0.20) return {reliability:"caution", rse};
+  return {reliability:"stable", rse};
+}
+
+// Published CI, or an approximate Wald interval from n when only the sample size is known
+function ciFor(f){
+  if(f.ci) return {lo:f.ci.lo, hi:f.ci.hi, approx:false};
+  const p = f.magnitude/100;
+  if(!f.n || p<=0 || p>=1) return null;
+  const half = 1.96*Math.sqrt(p*(1-p)/f.n)*100;
+  return {lo:Math.max(0, f.magnitude-half), hi:Math.min(100, f.magnitude+half), approx:true};
+}
+
+// Is a segment's rate different from its overall rate? Two-proportion z-test when both sample sizes are
+// known; when only CIs are published, the intervals are checked for overlap (a conservative test) and
+// the p-value is approximated from the CI-implied standard errors. The subgroup is usually part of the
+// overall sample, so treat the p-value as a screen rather than an exact test.
+const SIGNIFICANCE_ALPHA = 0.05;
+function _normCdf(z){
+  // Abramowitz & Stegun 7.1.26
+  const x = Math.abs(z)/Math.SQRT2;
+  const t = 1/(1 + 0.3275911*x);
+  const erf = 1 - (((((1.061405429*t - 1.453152027)*t) + 1.421413741)*t - 0.284496736)*t + 0.254829592)*t*Math.exp(-x*x);
+  return z>=0 ? (1 + erf)/2 : (1 - erf)/2;
+}
+function _seFor(f){
+  if(f.ci && f.ci.hi > f.ci.lo) return (f.ci.hi - f.ci.lo)/100/(2*1.96);
+  const p = f.magnitude/100;
+  return (f.n && p>0 && p<1) ? Math.sqrt(p*(1-p)/f.n) : null;
+}
+// -> {method, z, p, significant, note}; significant is null when the pair cannot be tested
+function testDisparity(f, overall){
+  const p1 = f.magnitude/100, p2 = overall.magnitude/100;
+  const pValue = (z)=>2*(1 - _normCdf(Math.abs(z)));
+  if(f.suppressed || overall.suppressed) return {method:null, z:null, p:null, significant:null, note:"Suppressed estimate; not tested."};
+  if(f.n && overall.n){
+    const pooled = (p1*f.n + p2*overall.n)/(f.n + overall.n);
+    const se = Math.sqrt(pooled*(1-pooled)*(1/f.n + 1/overall.n));
+    if(se>0){
+      const z = (p1 - p2)/se, p = pValue(z);
+      return {method:"two-proportion z", z, p, significant: p<SIGNIFICANCE_ALPHA, note:`n=${f.n} vs n=${overall.n}`};
+    }
+  }
+  const se1 = _seFor(f), se2 = _seFor(overall);
+  if(se1==null || se2==null) return {method:null, z:null, p:null, significant:null, note:"Needs n or a 95% CI for both the segment and Overall."};
+  const z = (p1 - p2)/Math.sqrt(se1*se1 + se2*se2), p = pValue(z);
+  if(f.ci && overall.ci){
+    const apart = f.ci.lo > overall.ci.hi || f.ci.hi < overall.ci.lo;
+    return {method:"CI overlap", z, p, significant: apart, note: apart ? "95% CIs do not overlap." : "95% CIs overlap."};
+  }
+  return {method:"z (CI-implied SE)", z, p, significant: p<SIGNIFICANCE_ALPHA, note:"Standard errors derived from the published CI or n."};
+}
+// share of the differential kept: full when significant or untested, W.nsShare when the test failed
+function significanceShare(f, W){
+  return (f.significance && f.significance.significant===false) ? W.nsShare : 1;
+}
+
 function computeMateriality(){
   // Compute concentration per key (subgroup - overall)
   const byKey = {};
@@ -341,101 +2249,77 @@ function computeMateriality(){
     const overall = list.find(x=>x.segment==="Overall");
     for(const f of list){
       f.concentration = (f.segment!=="Overall" && overall) ? Math.max(0, f.magnitude - overall.magnitude) : 0;
+      f.significance = (f.segment!=="Overall" && overall) ? testDisparity(f, overall) : null;
     }
   }
 
-  // Materiality score:
+  // Materiality score (defaults; see MATERIALITY_DEFAULTS and the active weighting profile):
   // magnitude (0-60), concentration (0-25), prominence (0-15)
-  // transportation amplification: if 65–74 exists and overall exists, add bonus up to +10
-  let transportBonus = 0;
-  if(state.transport.overall!=null && state.transport.age6574!=null && state.transport.overall>0){
-    const amp = state.transport.age6574 / state.transport.overall;
-    transportBonus = clamp((amp-1)*8, 0, 10); // up to 10 points bonus
-  }
-
+  // subgroup amplification (taxonomy "amplify", transportation by default): highest segment vs overall, bonus up to +10
+  // worsening trend vs the prior CHNA cycle: +2 points per percentage point, up to +10
+  // optional gap to state/national benchmark (0-15): finding above its benchmark rate
+  // optional people affected (rate × segment population), off in the Default profile
+  // unstable estimates (small n, wide CI, suppression markers) keep only part of their statistical weight
+  // subgroup gaps that fail the significance test vs Overall keep only nsShare of their differential/amplification points
+  const W = activeWeights();
   for(const f of state.findings){
-    const magScore = clamp((f.magnitude/30)*60, 0, 60);
-    const concScore = clamp((f.concentration/15)*25, 0, 25);
-    const promScore = clamp((f.prominence/6)*15, 0, 15);
-    let score = Math.round(magScore + concScore + promScore);
-    if(f.key==="transport") score = clamp(score + Math.round(transportBonus), 0, 100);
-    f.score = score;
-    f.recommend = (score>=70) ? "Advance (high)" : (score>=55 ? "Advance (moderate)" : "Defer/monitor");
+    Object.assign(f, assessReliability(f));
+    f.benchmark = benchmarkFor(f);
+    f.population = populationFor(f.segment);
+    f.affected = f.population ? Math.round(f.magnitude/100 * f.population.value) : null;
   }
+  const ampBonus = amplificationBonus(state.findings, W);
+  for(const f of state.findings) Object.assign(f, scoreFinding(f, W, ampBonus));
   state.findings.sort((a,b)=>b.score-a.score);
 }
 
 function buildOpportunities(){
+  // Findings are sorted by score, so the first finding per key is its best
   const bestByKey = {};
   for(const f of state.findings){
     if(!bestByKey[f.key]) bestByKey[f.key]=f;
   }
 
-  // Always include transportation opportunity (requirement), score based on findings if present
   const opps = [];
 
   function scoreOpportunity(eligibilityClarity, responsiveness, attributionStrength, docBurden){
     return Math.round(0.30*eligibilityClarity + 0.30*responsiveness + 0.25*attributionStrength + 0.15*(100-docBurden));
   }
 
-  // Attribution heuristic
-  const attribution = 70; // default; can be enhanced later if we parse AA geos
-  const scope = "Prefer AA attribution: document beneficiary location (ZIP/tract/county) and service delivery within AA; if broader, document proportional benefit.";
-
-  // Transportation (NEMT) — explicit criterion
-  {
-    const f = bestByKey.transport || {score:55}; // keep it evaluable even if CHNA extraction fails
-    const eligibility = 90; // strong
+  // AA attribution: the driving finding's own county/ZIP when it has one, else the CHNA service area
+  const years = cycleYears();
+  const current = years.length ? years[years.length-1] : null;
+  const serviceArea = chnaGeographies(state.docs.filter(d=>_inCycle(d, current, current)));
+  const guidance = "Prefer AA attribution: document beneficiary location (ZIP/tract/county) and service delivery within AA; if broader, document proportional benefit.";
+
+  for(const [kind, t] of Object.entries(OPPORTUNITY_TEMPLATES)){
+    // the strongest finding among the taxonomy indicators mapped to this opportunity
+    const drivers = DISPARITIES.filter(d=>d.opp===kind || (t.keys||[]).includes(d.key)).map(d=>d.key);
+    const best = drivers.map(k=>bestByKey[k]).filter(Boolean).sort((a,b)=>b.score-a.score)[0];
+    if(!best && !t.always) continue;
+    const f = best || {score:55}; // always-on templates stay evaluable even if CHNA extraction fails
     const responsiveness = clamp(f.score, 0, 100);
-    const burden = 35;
-    const score = scoreOpportunity(eligibility, responsiveness, attribution, burden);
-    opps.push({
-      opp:"Transportation-to-care (NEMT) — missed appointment mitigation",
-      kind:"nmt",
-      tests:"Service • Investment (as structured) • CD Loans (as structured)",
-      criterion: CRA_CRITERIA.nmt.criterion + " " + CRA_CRITERIA.nmt.cite,
-      strength: score>=75 ? "Strong" : (score>=60 ? "Moderate" : "Weak"),
-      score,
-      scope,
-      checklist:"CHNA excerpt(s) with overall + age-band differential; target population definition (LMI and/or qualifying segments); service area map; vendor/partner agreement; invoices; ride logs; beneficiary counts; monitoring report cadence."
-    });
-  }
-
-  // Food
-  if(bestByKey.food){
-    const f = bestByKey.food;
-    const eligibility = 80;
-    const responsiveness = clamp(f.score,0,100);
-    const burden = 45;
-    const score = scoreOpportunity(eligibility, responsiveness, attribution, burden);
-    opps.push({
-      opp:"Food access support — distribution / vouchers / meal supports",
-      kind:"food",
-      tests:"Investment • Service (depending on structure)",
-      criterion: CRA_CRITERIA.food.criterion + " " + CRA_CRITERIA.food.cite,
-      strength: score>=75 ? "Strong" : (score>=60 ? "Moderate" : "Weak"),
-      score,
-      scope,
-      checklist:"CHNA food measure; LMI targeting method; partner agreement; distribution logs; invoices; beneficiary counts; monitoring plan."
-    });
-  }
-
-  // Access
-  if(bestByKey.access){
-    const f = bestByKey.access;
-    const eligibility = 75;
-    const responsiveness = clamp(f.score,0,100);
-    const burden = 50;
-    const score = scoreOpportunity(eligibility, responsiveness, attribution, burden);
+    const ownArea = best && detectSegments(best.segment).some(g=>g.type==="geo");
+    const geo = {...aaAttribution(ownArea ? [{label:best.segment}] : serviceArea), basis: ownArea ? "finding segment" : "CHNA service area"};
+    const score = scoreOpportunity(t.eligibility, responsiveness, geo.attribution, t.burden);
+    const rule = craCriterion(kind);
+    const scope = geo.inAA==null ? guidance :
+      `${Math.round(geo.inAA*100)}% of the target area (${geo.geographies.join(", ")}) is inside the AA` +
+      `${geo.lmiShare==null ? "" : `; ${Math.round(geo.lmiShare*100)}% of that is LMI tracts`}. ${guidance}`;
     opps.push({
-      opp:"Care navigation / referral infrastructure — access enablement",
-      kind:"care",
-      tests:"Service • Investment (as structured)",
-      criterion: CRA_CRITERIA.care.criterion + " " + CRA_CRITERIA.care.cite,
+      opp:t.opp,
+      kind,
+      tests: rule.tests,
+      criterion: rule.criterion + " " + rule.cite,
+      ruleSet: state.ruleSet,
       strength: score>=75 ? "Strong" : (score>=60 ? "Moderate" : "Weak"),
       score,
       scope,
-      checklist:"CHNA access barrier evidence; workflow description; staffing records; referral counts; LMI targeting; monitoring plan."
+      geo,
+      checklist:t.checklist,
+      drivers: best ? [best.disparity] : [],
+      // the driving finding's estimated people affected, the default target-population size in Tier 3
+      target: (best && best.affected!=null) ? {segment:best.segment, people:best.affected, population:best.population.value} : null
     });
   }
 
@@ -448,11 +2332,800 @@ function tier3Unlocked(){
   return state.opportunities.some(o=>o.score>=60);
 }
 
+// ------------------------------
+// Need-to-strategy linkage (CHNA priorities × Implementation Strategy actions)
+// The IS must address each significant health need or explain why it does not. Prioritized needs
+// are read from the CHNA's priority sections, action items from the IS's strategy sections, and
+// each need is matched to the actions and "will not address" rationales that name it.
+// ------------------------------
+// Needs beyond the disparity taxonomy, plus wording CHNAs use for taxonomy needs
+const HEALTH_NEEDS = [
+  {key:"access", en:["access to care","access to health care","health care access","primary care"], es:["acceso a la atención médica","atención primaria"]},
+  {key:"housing", en:["affordable housing","housing"], es:["vivienda"]},
+  {key:"mental", label:"Mental health", en:["mental health","behavioral health","depression","anxiety","suicide"], es:["salud mental","depresión","ansiedad","suicidio"]},
+  {key:"substance", label:"Substance use", en:["substance use","substance abuse","opioid","alcohol use","addiction","tobacco","vaping"], es:["consumo de sustancias","opioides","adicción","tabaco"]},
+  {key:"chronic", label:"Chronic disease", en:["chronic disease","diabetes","obesity","heart disease","hypertension","cancer"], es:["enfermedades crónicas","diabetes","obesidad","cáncer"]},
+  {key:"maternal", label:"Maternal and child health", en:["maternal health","prenatal care","infant mortality","child health"], es:["salud materna","atención prenatal","salud infantil"]},
+  {key:"aging", label:"Healthy aging", en:["healthy aging","older adults","senior services"], es:["envejecimiento saludable","adultos mayores"]},
+  {key:"safety", label:"Violence and community safety", en:["violence","injury prevention","community safety"], es:["violencia","seguridad comunitaria"]}
+];
+const PRIORITY_MARKER_RE = /\b(?:prioritized|priority|priorities|significant health needs?|top (?:health )?needs|prioridad(?:es)?|priorizad[oa]s?)\b/iu;
+const ACTION_RE = /\b(?:will|plans? to|expand\w*|provid\w*|launch\w*|implement\w*|partner\w*|increas\w*|offer\w*|establish\w*|support\w*|fund\w*|continu\w*|develop\w*|creat\w*|ampliar\w*|proporcion\w*|implementar\w*|ofrecer\w*|ofrecerá|establecer\w*|apoyar\w*|continuar\w*|desarrollar\w*|crear\w*)(?=[^\p{L}]|$)/iu;
+const RATIONALE_RE = /\b(?:will not (?:directly )?address|not (?:be )?(?:directly )?address(?:ed|ing)|does not plan to|chose not to|outside (?:the|our) scope|beyond (?:the|our) scope|(?:better|already) (?:addressed|served) by|addressed by (?:other|community|local|existing)|lack of (?:resources|expertise)|no (?:se )?abordará|fuera del alcance)/iu;
+
+const BACKGROUND_KINDS = ["community","methods","input","populations","evaluation"];
+
+// [{key, label, terms}] — taxonomy indicators (with their scanning terms) followed by the other needs
+function needLexicon(){
+  const extra = (key)=>HEALTH_NEEDS.filter(n=>n.key===key).flatMap(n=>n.en.map(p=>_term(p, "en", "keyword")).concat(n.es.map(p=>_term(p, "es", "keyword"))));
+  const lex = DISPARITIES.map(d=>({key:d.key, label:d.label, terms:indicatorTerms(d).concat(extra(d.key))}));
+  for(const n of HEALTH_NEEDS){
+    if(n.label && !lex.some(x=>x.key===n.key)) lex.push({key:n.key, label:n.label, terms:extra(n.key)});
+  }
+  return lex;
+}
+
+// -> [{key, trigger, start}] for each need named in the text (first mention per need)
+function _needsIn(text, lex){
+  const toks = _tokens(text);
+  const out = [];
+  for(const n of lex){
+    const hit = findTerms(text, n.terms, toks)[0];
+    if(hit) out.push({key:n.key, trigger:triggerOf(hit, text), start:hit.start});
+  }
+  return out;
+}
+
+// sentences, with numbered or bulleted list items split apart ("1. Mental health 2. Housing");
+// common abbreviations ("St. Luke's") do not end a sentence
+function _statements(text){
+  return String(text||"").split(/(?<=[.!?;])(?<!\b(?:St|Dr|Mr|Mrs|Ms|Inc|Co|vs|etc)\.)\s+|\s+(?=(?:\d{1,2}[.)]|[•▪●-])\s)/).map(x=>x.trim()).filter(Boolean);
+}
+
+function computeNeedLinkage(current){
+  const lex = needLexicon();
+  const docs = state.docs.filter(d=>_inCycle(d, current, current));
+  const evalOf = (d)=>state.chnaEval.find(e=>e.doc===d.name) || {};
+  const chnaDocs = docs.filter(d=>evalOf(d).isCHNA);
+  const isDocs = docs.filter(d=>evalOf(d).isIS);
+  const needs = {};
+
+  // 1) prioritized needs: the CHNA's priority sections, or priority sentences when it has no headings
+  for(const d of chnaDocs){
+    const sections = splitSections(d);
+    const prio = sections.filter(sec=>sec.kinds.includes("priorities") && !sec.kinds.includes("strategy"));
+    const chunks = prio.length ? prio.flatMap(sec=>sec.chunks)
+      : sections.flatMap(sec=>sec.chunks.flatMap(c=>_statements(c.text).filter(x=>PRIORITY_MARKER_RE.test(x)).map(text=>({page:c.page, text}))));
+    for(const c of chunks){
+      for(const hit of _needsIn(c.text, lex)){
+        if(needs[hit.key]) continue;
+        needs[hit.key] = {key:hit.key, label:lex.find(n=>n.key===hit.key).label, doc:d.name, page:c.page,
+          snippet:_snippetAt(c.text, hit.start), trigger:hit.trigger, actions:[], rationales:[]};
+      }
+    }
+  }
+
+  // 2) IS action items and stated rationales; a need named in the section heading carries to its sentences
+  const actions = [];
+  for(const d of isDocs){
+    for(const sec of splitSections(d)){
+      // background sections (methods, community profile, evaluation of past work) hold no new action items
+      const background = !sec.kinds.includes("strategy") && sec.kinds.some(k=>BACKGROUND_KINDS.includes(k));
+      const headingNeeds = sec.heading ? _needsIn(sec.heading, lex).map(h=>h.key) : [];
+      for(const c of sec.chunks){
+        for(const sentence of _statements(c.text)){
+          if(sentence===sec.heading) continue;
+          const keys = new Set(_needsIn(sentence, lex).map(h=>h.key));
+          if(RATIONALE_RE.test(sentence)){
+            for(const k of (keys.size ? keys : headingNeeds)) needs[k] && needs[k].rationales.push({doc:d.name, page:c.page, text:sentence});
+            continue;
+          }
+          if(background || !ACTION_RE.test(sentence)) continue;
+          const linked = new Set([...keys, ...headingNeeds]);
+          actions.push({doc:d.name, page:c.page, text:sentence, needs:[...linked]});
+          for(const k of linked) needs[k] && needs[k].actions.push({doc:d.name, page:c.page, text:sentence});
+        }
+      }
+    }
+  }
+
+  // 3) status plus the Tier 1 / Tier 2 cross-references
+  const rows = Object.values(needs).map(n=>{
+    const finding = state.findings.find(f=>f.key===n.key) || null;
+    const pending = !finding && state.candidates.some(f=>f.key===n.key && f.review==="pending");
+    const disp = DISPARITIES.find(d=>d.key===n.key);
+    const opp = disp && disp.opp ? state.opportunities.find(o=>o.kind===disp.opp) || null : null;
+    const status = n.actions.length ? "addressed" : (n.rationales.length ? "rationale" : "gap");
+    return {...n, status,
+      tier1: finding ? {id:finding.id, segment:finding.segment, magnitude:finding.magnitude, score:finding.score} : (pending ? {pending:true} : null),
+      tier2: opp ? {kind:opp.kind, opp:opp.opp, score:opp.score} : null};
+  });
+  const rank = {gap:0, rationale:1, addressed:2};
+  rows.sort((a,b)=>rank[a.status]-rank[b.status] || (b.tier1 ? 1 : 0)-(a.tier1 ? 1 : 0));
+  state.linkage = {needs:rows, actions, chnaDocs:chnaDocs.map(d=>d.name), isDocs:isDocs.map(d=>d.name)};
+}
+
+const LINKAGE_BADGE = {addressed:'<span class="badge b-strong">Addressed</span>', rationale:'<span class="badge b-mod">Rationale given</span>', gap:'<span class="badge b-weak">No action or rationale</span>'};
+
+function renderLinkage(){
+  const tbl = document.getElementById("tbl_linkage");
+  if(!tbl) return;
+  const hint = document.getElementById("linkage_hint");
+  const L = state.linkage;
+  let html = "<tr><th>Prioritized need (CHNA)</th><th>Status</th><th>IS action items</th><th>Rationale if not addressed</th><th>In Tier 1 findings</th><th>In Tier 2 opportunities</th></tr>";
+  if(!L || !L.needs.length){
+    tbl.innerHTML = html + `<tr><td colspan="6">${L && L.chnaDocs.length ? "No prioritized needs found in the CHNA's priority sections." : "Process a CHNA to populate."}</td></tr>`;
+    if(hint) hint.textContent = "Prioritized needs are read from the CHNA and matched to Implementation Strategy action items.";
+    return;
+  }
+  const cite = (x)=>sourceButton(x.doc, x.page, x.text, `${x.doc} p.${x.page}`);
+  for(const n of L.needs){
+    const acts = n.actions.slice(0,3).map(a=>`<div class="small">${escapeHtml(a.text)} — ${cite(a)}</div>`).join("") +
+      (n.actions.length>3 ? `<div class="small">+${n.actions.length-3} more</div>` : "");
+    html += `<tr>
+      <td><b>${escapeHtml(n.label)}</b><div class="small">${sourceButton(n.doc, n.page, n.snippet, `${n.doc} p.${n.page}`)} · ${escapeHtml(fmtTrigger(n.trigger))}</div></td>
+      <td>${LINKAGE_BADGE[n.status]}</td>
+      <td>${n.actions.length ? `<span class="mono">${n.actions.length}</span>${acts}` : "—"}</td>
+      <td>${n.rationales.length ? n.rationales.slice(0,2).map(r=>`<div class="small">${escapeHtml(r.text)} — ${cite(r)}</div>`).join("") : "—"}</td>
+      <td>${n.tier1 ? (n.tier1.pending ? '<span class="badge b-mod">Pending review</span>' : `<span class="badge b-strong">Yes</span> <span class="small mono">${fmtPct(n.tier1.magnitude)} · ${escapeHtml(n.tier1.segment)}</span>`) : '<span class="small">No</span>'}</td>
+      <td>${n.tier2 ? `<span class="badge b-strong">Yes</span> <span class="small">${escapeHtml(n.tier2.opp)}</span>` : '<span class="small">No</span>'}</td>
+    </tr>`;
+  }
+  tbl.innerHTML = html;
+  const gaps = L.needs.filter(n=>n.status==="gap");
+  if(hint){
+    hint.textContent = !L.isDocs.length
+      ? `${L.needs.length} prioritized need(s) found, but no Implementation Strategy was detected among the current-cycle documents.`
+      : (gaps.length
+        ? `${gaps.length} of ${L.needs.length} prioritized need(s) have no IS action and no stated rationale: ${gaps.map(n=>n.label).join(", ")}.`
+        : `All ${L.needs.length} prioritized need(s) have an IS action or a stated rationale.`);
+  }
+}
+
+// ------------------------------
+// CHNA cycles (prior vs current assessment)
+// Each document / structured table carries a cycle year. The latest cycle drives materiality;
+// earlier cycles are scanned separately and compared finding-by-finding (indicator × segment).
+// Only CHNA documents and survey tables define cycles; companion files (Implementation Strategy,
+// Schedule H, other filings) are usually dated a year later and attach to the latest CHNA cycle on or
+// before their own year.
+// ------------------------------
+const TREND_STABLE_PP = 1.0; // changes within ±1 percentage point read as stable
+
+function guessCycleYear(name, textByPage){
+  // file name first ("CHNA_2022.pdf"), then a dated title on the first pages ("2019 Community Health Needs Assessment")
+  const fromName = String(name||"").match(/(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/);
+  if(fromName) return parseInt(fromName[1],10);
+  const head = (textByPage||[]).slice(0,2).join(" ");
+  const m = head.match(/((?:19|20)\d{2})(?:\s*[-–]\s*(?:19|20)?\d{2})?\s+Community Health Needs Assessment/i) ||
+    head.match(/Community Health Needs Assessment\s*(?:\(CHNA\))?\s*[:\-–]?\s*((?:19|20)\d{2})/i);
+  return m ? parseInt(m[1],10) : null;
+}
+
+const COMPANION_RE = /implementation[\s_-]*(?:strateg|plan)|estrategia de implementaci|schedule[\s_-]*h\b|form[\s_-]*990/i;
+const CHNA_TITLE_RE = /community health needs assessment|evaluaci[oó]n de (?:las )?necesidades de salud|(?:^|[^a-z])chna(?:[^a-z]|$)/i;
+
+// "chna" | "companion": from the file name, else from which title comes first on the opening pages
+function guessDocRole(name, textByPage){
+  const n = String(name||"");
+  if(COMPANION_RE.test(n) || /(?:^|[^a-z])is(?:[^a-z]|$)/i.test(n)) return "companion";
+  if(CHNA_TITLE_RE.test(n)) return "chna";
+  const head = (textByPage||[]).slice(0,2).join(" ");
+  const comp = head.search(COMPANION_RE), chna = head.search(CHNA_TITLE_RE);
+  return comp>=0 && (chna<0 || comp<chna) ? "companion" : "chna";
+}
+
+function cycleYears(){
+  const years = new Set();
+  for(const d of state.docs) if(d.cycle!=null && d.role!=="companion") years.add(d.cycle);
+  for(const r of state.structured) if(r.cycle!=null) years.add(r.cycle);
+  return Array.from(years).sort((a,b)=>a-b);
+}
+
+// The cycle a source counts toward: untagged sources count toward the latest (current) cycle; a
+// companion file joins the latest CHNA cycle on or before its year (the earliest cycle if it predates all)
+function sourceCycle(item, current){
+  if(item.cycle==null) return current;
+  if(item.role!=="companion") return item.cycle;
+  const years = cycleYears();
+  const before = years.filter(y=>y<=item.cycle);
+  return before.length ? before[before.length-1] : (years.length ? years[0] : current);
+}
+
+function _inCycle(item, year, current){
+  return sourceCycle(item, current) === year;
+}
+
+function computeTrends(current){
+  const years = Object.keys(state.cycleFindings).map(Number).sort((a,b)=>a-b);
+  const byId = {};
+  for(const y of years){
+    for(const f of state.cycleFindings[y]){
+      if(!byId[f.id]) byId[f.id] = {id:f.id, key:f.key, disparity:f.disparity, segment:f.segment, values:{}, unreviewed:[]};
+      byId[f.id].values[y] = f.magnitude;
+      if(f.review==="unreviewed") byId[f.id].unreviewed.push(y);
+    }
+  }
+  const trends = [];
+  for(const t of Object.values(byId)){
+    const seen = years.filter(y=>t.values[y]!=null);
+    const last = seen[seen.length-1], prev = seen[seen.length-2];
+    t.from = prev==null ? null : prev;
+    t.to = last;
+    t.change = prev==null ? null : t.values[last] - t.values[prev];
+    // every taxonomy indicator is a "% reporting a barrier", so a rise is a worsening need
+    t.direction = t.change==null ? "single" : (t.change > TREND_STABLE_PP ? "worsening" : (t.change < -TREND_STABLE_PP ? "improving" : "stable"));
+    if(last!==current) t.direction = "not reported";
+    trends.push(t);
+  }
+  const order = {worsening:0, stable:1, improving:2, single:3, "not reported":4};
+  trends.sort((a,b)=>(order[a.direction]-order[b.direction]) || ((b.change||0)-(a.change||0)));
+  state.trends = trends;
+  for(const f of state.findings){
+    const t = trends.find(x=>x.id===f.id);
+    f.trend = (t && t.change!=null && t.to===current) ? {from:t.from, change:t.change, direction:t.direction, fromUnreviewed:t.unreviewed.includes(t.from)} : null;
+  }
+}
+
+// ------------------------------
+// Analyst review
+// Extracted findings wait in a review queue; only accepted, corrected and analyst-added findings reach
+// materiality, opportunities and drafts. Every action is logged with the reviewer's name and note.
+// Decisions, analyst entries and the log persist in this browser so the audit trail survives a reload.
+// ------------------------------
+const REVIEWER_STORAGE_KEY = "chna_cra_reviewer";
+const REVIEWS_STORAGE_KEY = "chna_cra_reviews_v1";
+const REVIEW_RANK = {accepted:0, edited:1, manual:2}; // an analyst value beats an accepted extraction for the same indicator × segment
+
+// Reviews are tied to the document a finding was extracted from, so a decision on one hospital's CHNA
+// never carries over to the same indicator × segment in another upload
+function reviewKey(f){
+  return `${f.doc || ""}|${f.id}`;
+}
+
+// names of the loaded documents and survey tables; analyst entries apply only while theirs are all loaded
+function _sourceSet(){
+  return Array.from(new Set(state.docs.map(d=>d.name).concat(state.structured.map(r=>r.doc)))).sort();
+}
+
+function manualInScope(m){
+  const loaded = _sourceSet();
+  const docs = m.docs || [];
+  return docs.length ? docs.every(n=>loaded.includes(n)) : !loaded.length;
+}
+
+function applyReviews(){
+  state.candidates = state.findings;
+  const reviewed = [];
+  for(const f of state.candidates){
+    const r = state.reviews[reviewKey(f)];
+    // every decision, corrections included, lapses when re-extraction produces a different value
+    const stale = r && r.extracted!==f.magnitude;
+    f.review = (!r || stale) ? "pending" : r.status;
+    f.reviewNote = r ? r.note : "";
+    f.reviewedBy = r ? r.by : "";
+    f.reviewStale = !!stale;
+    if(f.review==="pending" || f.review==="rejected") continue;
+    const out = {...f};
+    if(r.status==="edited"){
+      out.extracted = {magnitude:f.magnitude, segment:f.segment};
+      out.magnitude = r.value;
+      out.segment = r.segment;
+      out.id = `${f.key}__${r.segment}`;
+      // a corrected value has no published precision of its own
+      Object.assign(out, {n:null, ci:null, suppressed:false});
+    }
+    reviewed.push(out);
+  }
+  for(const m of state.manualFindings){
+    const d = DISPARITIES.find(x=>x.key===m.key);
+    if(!d || !manualInScope(m)) continue;
+    reviewed.push({
+      id:`${m.key}__${m.segment}`, key:m.key, disparity:d.label, segment:m.segment, magnitude:m.value,
+      prominence:0, concentration:0, score:0, recommend:"",
+      evidenceRef:`Analyst entry (${m.by}, ${m.at.slice(0,10)})`,
+      ...FINDING_DEFAULTS,
+      source:"manual", review:"manual", reviewNote:m.note, reviewedBy:m.by, manualId:m.id
+    });
+  }
+  const byId = {};
+  for(const f of reviewed){
+    const ex = byId[f.id];
+    if(!ex || REVIEW_RANK[f.review] > REVIEW_RANK[ex.review]) byId[f.id] = f;
+  }
+  state.findings = Object.values(byId);
+}
+
+function loadReviews(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(REVIEWS_STORAGE_KEY) || "null");
+    if(saved && saved.reviews && typeof saved.reviews==="object" && Array.isArray(saved.manualFindings) && Array.isArray(saved.reviewLog)){
+      return {reviews:saved.reviews, manualFindings:saved.manualFindings, reviewLog:saved.reviewLog};
+    }
+  }catch(e){
+    console.error(e);
+  }
+  return {reviews:{}, manualFindings:[], reviewLog:[]};
+}
+
+// demo acceptances stay in memory; state.reviewsDemo is cleared when real documents are processed
+function saveReviews(){
+  if(state.reviewsDemo) return;
+  try{
+    localStorage.setItem(REVIEWS_STORAGE_KEY, JSON.stringify({reviews:state.reviews, manualFindings:state.manualFindings, reviewLog:state.reviewLog}));
+  }catch(e){
+    console.error(e);
+  }
+}
+
+function _reviewer(){
+  const el = document.getElementById("inp_reviewer");
+  return el ? el.value.trim() : "";
+}
+
+// action: accept | reject | edit | reopen | add | remove
+function reviewAction(action, id, fields={}){
+  const by = _reviewer();
+  if(!by) return "Enter your name as reviewer first.";
+  const note = String(fields.note||"").trim();
+  if(action!=="accept" && action!=="reopen" && !note) return "Add a note explaining the change.";
+  const at = new Date().toISOString();
+  const f = state.candidates.find(x=>x.id===id);
+  const label = f ? `${f.disparity} — ${f.segment}` : id;
+  const log = (act, change)=> state.reviewLog.push({at, by, action:act, finding:label, change, note});
+
+  if(action==="accept" || action==="reject"){
+    if(!f) return "That finding is no longer extracted; re-run processing.";
+    state.reviews[reviewKey(f)] = {status: action==="accept" ? "accepted" : "rejected", value:f.magnitude, segment:f.segment, extracted:f.magnitude, note, by, at};
+    log(action==="accept" ? "Accepted" : "Rejected", fmtPct(f.magnitude));
+  }else if(action==="edit"){
+    if(!f) return "That finding is no longer extracted; re-run processing.";
+    const value = parsePercentCell(fields.value);
+    if(value==null || value>100) return "Enter the corrected value as a percent (0–100).";
+    const segment = normalizeSegment(fields.segment || f.segment);
+    state.reviews[reviewKey(f)] = {status:"edited", value, segment, extracted:f.magnitude, note, by, at};
+    const changes = [];
+    if(value!==f.magnitude) changes.push(`${fmtPct(f.magnitude)} → ${fmtPct(value)}`);
+    if(segment!==f.segment) changes.push(`segment ${f.segment} → ${segment}`);
+    log("Corrected", changes.join("; ") || "no change");
+  }else if(action==="reopen"){
+    if(f) delete state.reviews[reviewKey(f)];
+    log("Reopened", "back to pending");
+  }else if(action==="add"){
+    const d = DISPARITIES.find(x=>x.key===fields.key);
+    const value = parsePercentCell(fields.value);
+    if(!d) return "Choose an indicator.";
+    if(value==null || value>100) return "Enter the value as a percent (0–100).";
+    const segment = normalizeSegment(fields.segment);
+    const mid = `manual_${state.reviewLog.length + 1}`; // the log only grows, so ids never repeat
+    state.manualFindings.push({id:mid, key:d.key, segment, value, note, by, at, docs:_sourceSet()});
+    state.reviewLog.push({at, by, action:"Added", finding:`${d.label} — ${segment}`, change:fmtPct(value), note});
+  }else if(action==="remove"){
+    const m = state.manualFindings.find(x=>x.id===id);
+    if(!m) return "Analyst entry not found.";
+    state.manualFindings = state.manualFindings.filter(x=>x.id!==id);
+    const d = DISPARITIES.find(x=>x.key===m.key);
+    state.reviewLog.push({at, by, action:"Removed", finding:`${d ? d.label : m.key} — ${m.segment}`, change:fmtPct(m.value), note});
+  }
+  saveReviews();
+  return null;
+}
+
+// ------------------------------
+// 501(r) compliance calendar
+// Deadlines follow Treas. Reg. §1.501(r)-3: a CHNA must be conducted (adopted) in the current tax year
+// or either of the two preceding ones; its IS is due by the 15th day of the fifth month after the end
+// of that tax year; each CHNA stays widely available until two later CHNAs are; Form 990 (with
+// Schedule H) is due on the same 15th-of-the-fifth-month date, or the 11th month on extension.
+// Tax years are identified by their end date; dates are handled as UTC calendar days.
+// ------------------------------
+const CALENDAR_STORAGE_KEY = "chna_cra_calendar_v1";
+const CALENDAR_DEFAULTS = {facility:"", fyMonth:12, chnaDate:"", isDate:"", priorChnaDate:"", filed990:"", ext990:false, leadDays:90};
+
+function loadCalendar(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(CALENDAR_STORAGE_KEY) || "null");
+    if(saved && typeof saved==="object") return {...CALENDAR_DEFAULTS, ...saved};
+  }catch(e){
+    console.error(e);
+  }
+  return {...CALENDAR_DEFAULTS};
+}
+
+function _parseYmd(s){
+  const m = String(s||"").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? new Date(Date.UTC(+m[1], +m[2]-1, +m[3])) : null;
+}
+function _ymd(d){ return d.toISOString().slice(0,10); }
+function _today(){ const n = new Date(); return new Date(Date.UTC(n.getFullYear(), n.getMonth(), n.getDate())); }
+function _fyEnd(year, month){ return new Date(Date.UTC(year, month, 0)); } // last day of month (1–12)
+// end of the tax year containing date
+function fyEndFor(date, month){
+  const e = _fyEnd(date.getUTCFullYear(), month);
+  return e < date ? _fyEnd(date.getUTCFullYear()+1, month) : e;
+}
+// the 15th day of the nth month after a tax year ends
+function _fifteenthAfter(fyEnd, months){ return new Date(Date.UTC(fyEnd.getUTCFullYear(), fyEnd.getUTCMonth()+months, 15)); }
+
+// -> {items:[{id, title, due, status, detail, rule, done}], errors[]}; status: done | late | overdue | soon | scheduled | ongoing
+function computeCalendar(cal, today=_today()){
+  const items = [], errors = [];
+  const month = clamp(parseInt(cal.fyMonth,10) || 12, 1, 12);
+  const lead = Math.max(1, parseInt(cal.leadDays,10) || 90);
+  const chna = _parseYmd(cal.chnaDate), is = _parseYmd(cal.isDate), prior = _parseYmd(cal.priorChnaDate), filed = _parseYmd(cal.filed990);
+  if(is && chna && is < chna) errors.push("The IS adoption date is before the CHNA adoption date.");
+  if(prior && chna && prior >= chna) errors.push("The prior CHNA date must be earlier than the latest CHNA date.");
+
+  const statusOf = (due, doneOn)=>{
+    if(doneOn) return doneOn > due ? "late" : "done";
+    if(due < today) return "overdue";
+    return (due - today) / 86400000 <= lead ? "soon" : "scheduled";
+  };
+  const add = (id, title, due, rule, detail, doneOn)=>items.push({id, title, due:_ymd(due), status:statusOf(due, doneOn), done:doneOn ? _ymd(doneOn) : "", rule, detail});
+
+  if(chna){
+    const chnaYear = fyEndFor(chna, month);
+    const nextChna = _fyEnd(chnaYear.getUTCFullYear()+3, month);
+    add("is_current", "Adopt Implementation Strategy for the latest CHNA", _fifteenthAfter(chnaYear, 5),
+      "Treas. Reg. §1.501(r)-3(c)(5): by the 15th day of the fifth month after the end of the CHNA's tax year",
+      `CHNA adopted ${_ymd(chna)} (tax year ending ${_ymd(chnaYear)}).`, is);
+    add("chna_start", "Begin next CHNA (data collection, community input)", new Date(Date.UTC(nextChna.getUTCFullYear()-1, nextChna.getUTCMonth(), nextChna.getUTCDate())),
+      "Planning milestone: allow about 12 months for surveys, input and written-comment review", "");
+    add("chna_next", "Adopt next CHNA", nextChna,
+      "Treas. Reg. §1.501(r)-3(a)(1): CHNA conducted in the current tax year or either of the two preceding tax years",
+      `Latest CHNA covers tax years ending through ${_ymd(nextChna)}.`, null);
+    add("is_next", "Adopt Implementation Strategy for the next CHNA", _fifteenthAfter(nextChna, 5),
+      "Treas. Reg. §1.501(r)-3(c)(5)", "Assumes the next CHNA is adopted in the final year of the window.", null);
+    items.push({id:"post_current", title:"Keep the latest CHNA posted on the website", due:_ymd(_fyEnd(chnaYear.getUTCFullYear()+6, month)), status:"ongoing", done:"",
+      rule:"Treas. Reg. §1.501(r)-3(b)(7)(i)(A): until two subsequent CHNAs are made widely available",
+      detail:"Earliest removal date if the next two CHNAs are adopted on schedule; post the IS with it or attach it to Form 990."});
+    if(prior){
+      items.push({id:"post_prior", title:"Keep the prior CHNA posted on the website", due:_ymd(nextChna), status:"ongoing", done:"",
+        rule:"Treas. Reg. §1.501(r)-3(b)(7)(i)(A)", detail:`CHNA adopted ${_ymd(prior)} stays posted until the next CHNA after the latest one is posted.`});
+    }
+  }
+
+  // Form 990 / Schedule H for each tax year ending in the last two years or the coming year
+  for(let y = today.getUTCFullYear()-2; y <= today.getUTCFullYear()+1; y++){
+    const end = _fyEnd(y, month);
+    if(end > new Date(today.getTime() + 366*86400000)) continue;
+    const due = _fifteenthAfter(end, cal.ext990 ? 11 : 5);
+    if(due < new Date(Date.UTC(today.getUTCFullYear()-1, today.getUTCMonth(), today.getUTCDate())) && !(filed && end > filed)) continue;
+    add(`f990_${_ymd(end)}`, `File Form 990 with Schedule H (tax year ending ${_ymd(end)})`, due,
+      cal.ext990 ? "Due the 15th day of the 11th month after year-end with a Form 8868 extension" : "Due the 15th day of the fifth month after year-end (Form 8868 extends six months)",
+      "Schedule H Part V Section B reports CHNA/IS status; attach the IS or give its URL.", filed && end <= filed ? filed : null);
+  }
+
+  items.sort((a,b)=>a.due < b.due ? -1 : (a.due > b.due ? 1 : 0));
+  return {items, errors};
+}
+
+const CALENDAR_BADGE = {
+  done:'<span class="badge b-strong">Done</span>', late:'<span class="badge b-mod">Done late</span>', overdue:'<span class="badge b-weak">Overdue</span>',
+  soon:'<span class="badge b-mod">Due soon</span>', scheduled:'<span class="badge">Scheduled</span>', ongoing:'<span class="badge">Ongoing</span>'
+};
+
+function renderCalendar(){
+  const tbl = document.getElementById("tbl_calendar");
+  if(!tbl) return;
+  const {items, errors} = computeCalendar(state.calendar);
+  let html = "<tr><th>Due</th><th>Requirement</th><th>Status</th><th>Rule</th><th>Notes</th></tr>";
+  for(const it of items){
+    html += `<tr>
+      <td class="mono">${escapeHtml(it.due)}${it.status==="ongoing" ? '<div class="small">(through at least)</div>' : ""}</td>
+      <td><b>${escapeHtml(it.title)}</b></td>
+      <td>${CALENDAR_BADGE[it.status]}${it.done ? `<div class="small mono">${escapeHtml(it.done)}</div>` : ""}</td>
+      <td class="small">${escapeHtml(it.rule)}</td>
+      <td class="small">${escapeHtml(it.detail || "—")}</td>
+    </tr>`;
+  }
+  tbl.innerHTML = html;
+  const hint = document.getElementById("cal_hint");
+  if(hint){
+    const overdue = items.filter(it=>it.status==="overdue").length;
+    const soon = items.filter(it=>it.status==="soon").length;
+    const years = cycleYears();
+    hint.textContent = errors.length ? errors.join(" ") :
+      (!state.calendar.chnaDate
+        ? `Enter the latest CHNA adoption date to compute CHNA and IS deadlines${years.length ? ` (documents are tagged with CHNA cycle ${years[years.length-1]})` : ""}.`
+        : `${overdue} overdue, ${soon} due within ${state.calendar.leadDays} days.`);
+  }
+}
+
+// RFC 5545 all-day events for every open deadline, each with a reminder lead days ahead
+function calendarIcs(cal){
+  const esc = (t)=>String(t||"").replace(/\\/g,"\\\\").replace(/;/g,"\\;").replace(/,/g,"\\,").replace(/\r?\n/g,"\\n");
+  // content lines fold at 75 octets; continuation lines start with a space
+  const enc = new TextEncoder();
+  const fold = (line)=>{
+    const out = [];
+    let cur = "", bytes = 0;
+    for(const ch of line){
+      const n = enc.encode(ch).length;
+      if(bytes + n > 75){ out.push(cur); cur = " "; bytes = 1; }
+      cur += ch; bytes += n;
+    }
+    out.push(cur);
+    return out.join("\r\n");
+  };
+  const d8 = (ymd)=>ymd.replace(/-/g,"");
+  const nextDay = (ymd)=>_ymd(new Date(_parseYmd(ymd).getTime() + 86400000));
+  const stamp = new Date().toISOString().replace(/[-:]/g,"").replace(/\.\d+/,"");
+  const prefix = cal.facility ? `${cal.facility}: ` : "";
+  const lines = ["BEGIN:VCALENDAR","VERSION:2.0","PRODID:-//CHNA-CRA Dashboard//501(r) Compliance Calendar//EN","CALSCALE:GREGORIAN","METHOD:PUBLISH"];
+  const open = computeCalendar(cal).items.filter(it=>["overdue","soon","scheduled"].includes(it.status));
+  for(const it of open){
+    lines.push("BEGIN:VEVENT",
+      `UID:${it.id}-${d8(it.due)}@chna-cra-dashboard`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${d8(it.due)}`,
+      `DTEND;VALUE=DATE:${d8(nextDay(it.due))}`,
+      `SUMMARY:${esc(prefix + it.title)}`,
+      `DESCRIPTION:${esc([it.rule, it.detail].filter(Boolean).join("\n"))}`,
+      "BEGIN:VALARM","ACTION:DISPLAY",`TRIGGER:-P${Math.max(1, parseInt(cal.leadDays,10) || 90)}D`,`DESCRIPTION:${esc(it.title)}`,"END:VALARM",
+      "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return {ics: lines.map(fold).join("\r\n") + "\r\n", count: open.length};
+}
+
+// ------------------------------
+// Form 990 Schedule H, Part V Section B worksheet (CHNA lines 1–12)
+// Pre-answers each line from the element gap analysis, the need-to-strategy linkage and the
+// compliance calendar, citing the page relied on. status: supported (strong evidence), verify
+// (weak or heuristic evidence), gap (required content not found), manual (the app cannot tell).
+// ------------------------------
+const SCHEDULE_H_STATUS = {
+  supported:'<span class="badge b-strong">Supported</span>', verify:'<span class="badge b-mod">Verify</span>',
+  gap:'<span class="badge b-weak">Gap</span>', manual:'<span class="badge">Not supported — answer manually</span>'
+};
+const DEMOGRAPHIC_TERMS = [["demographics","en"],["demographic profile","en"],["population characteristics","en"],["age distribution","en"],["race and ethnicity","en"],["demografía","es"],["características de la población","es"]];
+const PAPER_COPY_TERMS = [["paper copy","en"],["hard copy","en"],["printed copy","en"],["copy upon request","en"],["copia impresa","es"],["copia en papel","es"]];
+const COLLAB_RE = /\b(?:jointly|joint (?:chna|assessment)|collaborative(?:ly)?|in (?:collaboration|partnership) with|together with|partnered with|collaborated with|en colaboración con|conjuntamente)\b/i;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s)"'<>]+[^\s)"'<>.,;]/i;
+
+// tax year "20__" as the form asks for it: the calendar year in which the tax year begins
+function _taxYearLabel(fyEnd){ return new Date(fyEnd.getTime() - 364*86400000).getUTCFullYear(); }
+
+// first page/snippet in docs where any term appears -> {doc, page, snippet} | null
+function _findInDocs(docs, pairs){
+  const terms = pairs.map(([p, lang])=>_term(p, lang, "keyword"));
+  for(const d of docs){
+    for(let i=0; i<(d.textByPage||[]).length; i++){
+      const text = d.textByPage[i] || "";
+      const hit = findTerms(text, terms)[0];
+      if(hit) return {doc:d.name, page:i+1, snippet:_snippetAt(text, hit.start)};
+    }
+  }
+  return null;
+}
+
+// first sentence matching every regex -> {doc, page, snippet} | null
+function _sentenceInDocs(docs, ...res){
+  for(const d of docs){
+    for(let i=0; i<(d.textByPage||[]).length; i++){
+      const hit = _statements(d.textByPage[i]).find(x=>res.every(re=>re.test(x)));
+      if(hit) return {doc:d.name, page:i+1, snippet:hit};
+    }
+  }
+  return null;
+}
+
+// the return's tax year: the last one ended on or before today, by the calendar's fiscal year
+function scheduleHTaxYearEnd(){
+  const month = clamp(parseInt((state.calendar || CALENDAR_DEFAULTS).fyMonth,10) || 12, 1, 12);
+  const end = fyEndFor(_today(), month);
+  return end > _today() ? _fyEnd(end.getUTCFullYear()-1, month) : end;
+}
+
+function buildScheduleH(){
+  const rows = [];
+  const evals = currentCycleEval();
+  const docs = state.docs.filter(d=>(evals.find(e=>e.doc===d.name) || {}).isCHNA);
+  const isDocs = state.docs.filter(d=>(evals.find(e=>e.doc===d.name) || {}).isIS);
+  const cal = state.calendar || CALENDAR_DEFAULTS;
+  const month = clamp(parseInt(cal.fyMonth,10) || 12, 1, 12);
+  const reportEnd = scheduleHTaxYearEnd();
+  const chnaDate = _parseYmd(cal.chnaDate), isDate = _parseYmd(cal.isDate);
+  const row = (line, question, answer, status, evidence, note)=>rows.push({line, question, answer, status, evidence:evidence || null, note:note || ""});
+  const manual = (line, question, note)=>row(line, question, "—", "manual", null, note);
+  // strongest documented CHNA or IS element in the given documents, cited as evidence that the document is one
+  const docHit = (ds, hitsKey)=>{
+    let best = null;
+    for(const e of evals){
+      if(!ds.some(d=>d.name===e.doc)) continue;
+      for(const h of e[hitsKey]){
+        if(h.strength!=="absent" && (!best || STRENGTH_RANK[h.strength] > STRENGTH_RANK[best.hit.strength])) best = {doc:e.doc, hit:h};
+      }
+    }
+    return best ? {doc:best.doc, page:best.hit.page, snippet:best.hit.snippet} : null;
+  };
+  const fromElement = (line, question, id)=>{
+    const b = bestElementHit(id);
+    if(!b || b.hit.strength==="absent"){
+      row(line, question, docs.length ? "No" : "—", docs.length ? "gap" : "manual", null,
+        docs.length ? "Not found in the uploaded CHNA; add it (see the Compliance Addendum) or leave unchecked." : "Upload the CHNA to assess this line.");
+      return;
+    }
+    row(line, question, "Yes", b.hit.strength==="strong" ? "supported" : "verify", {doc:b.doc, page:b.hit.page, snippet:b.hit.snippet},
+      b.hit.strength==="strong" ? "" : `Weak evidence: ${b.hit.reason}.`);
+  };
+
+  manual("1", "First licensed, registered or recognized as a hospital facility in the current or preceding tax year?", "Facility licensing history is not in the uploaded documents.");
+  manual("2", "Acquired or placed into service as a tax-exempt hospital facility in the current or preceding tax year?", "Acquisition history is not in the uploaded documents.");
+
+  // 3: CHNA conducted in the tax year or either of the two preceding ones
+  const q3 = "Conducted a CHNA during the tax year or either of the 2 immediately preceding tax years?";
+  if(chnaDate){
+    const chnaYear = fyEndFor(chnaDate, month);
+    const inWindow = chnaYear <= reportEnd && chnaYear >= _fyEnd(reportEnd.getUTCFullYear()-2, month);
+    row("3", q3, inWindow ? "Yes" : "No", inWindow ? "supported" : "gap", null,
+      inWindow ? `CHNA adopted ${_ymd(chnaDate)} (compliance calendar).` : `CHNA adopted ${_ymd(chnaDate)} falls outside the window for the tax year ending ${_ymd(reportEnd)}.`);
+  }else if(docs.length){
+    row("3", q3, "Yes", "verify", docHit(docs, "chnaHits"), "A CHNA was uploaded; enter its adoption date in the compliance calendar to confirm the window.");
+  }else manual("3", q3, "No CHNA uploaded and no adoption date in the compliance calendar.");
+
+  fromElement("3a", "CHNA describes: a definition of the community served", "community_def");
+  const demo = _findInDocs(docs, DEMOGRAPHIC_TERMS);
+  row("3b", "CHNA describes: demographics of the community", demo ? "Yes" : (docs.length ? "No" : "—"), demo ? "verify" : (docs.length ? "gap" : "manual"), demo,
+    demo ? "Keyword match; confirm a demographic profile is presented." : "");
+  fromElement("3c", "CHNA describes: existing health care facilities and resources available to respond to the needs", "resources");
+  fromElement("3d", "CHNA describes: how data was obtained", "methods");
+  fromElement("3e", "CHNA describes: the significant health needs of the community", "priorities");
+  fromElement("3f", "CHNA describes: primary and chronic disease needs and other health issues of uninsured persons, low-income persons, and minority groups", "underserved");
+  fromElement("3g", "CHNA describes: the process for identifying and prioritizing community health needs and services to meet them", "priorities");
+  fromElement("3h", "CHNA describes: the process for consulting with persons representing the community's interests", "input");
+  fromElement("3i", "CHNA describes: the impact of actions taken to address needs identified in the prior CHNA(s)", "impact_eval");
+  manual("3j", "CHNA describes: other (describe in Section C)", "");
+
+  const q4 = "Tax year the hospital facility last conducted a CHNA (20__)";
+  const years = cycleYears();
+  if(chnaDate) row("4", q4, String(_taxYearLabel(fyEndFor(chnaDate, month))), "supported", null, "From the CHNA adoption date in the compliance calendar.");
+  else if(years.length) row("4", q4, String(years[years.length-1]), "verify", null, "From the document cycle tag; the form asks for the tax year of adoption.");
+  else manual("4", q4, "Enter the CHNA adoption date in the compliance calendar.");
+
+  fromElement("5", "Took into account input from persons representing the broad interests of the community, including public health expertise? (describe in Section C)", "input");
+
+  const hosp = _sentenceInDocs(docs, COLLAB_RE, /\b(?:hospitals?|medical cent(?:er|re)s?|health systems?)\b/i);
+  const org = _sentenceInDocs(docs, COLLAB_RE, /\b(?:health department|public health|county|university|united way|coalition|consult\w*|organizations?|agenc(?:y|ies))\b/i);
+  const q6a = "CHNA conducted with one or more other hospital facilities?";
+  const q6b = "CHNA conducted with one or more organizations other than hospital facilities?";
+  if(hosp) row("6a", q6a, "Yes", "verify", hosp, "Collaboration language mentions another hospital; confirm it co-conducted the CHNA and list it in Section C.");
+  else manual("6a", q6a, "No collaboration language found; answer from CHNA records.");
+  if(org) row("6b", q6b, "Yes", "verify", org, "Collaboration language mentions a non-hospital organization; list it in Section C.");
+  else manual("6b", q6b, "No collaboration language found; answer from CHNA records.");
+
+  const pub = evals.find(e=>e.publicScore===100 && docs.some(d=>d.name===e.doc));
+  row("7", "Made the CHNA report widely available to the public?", pub ? "Yes" : (docs.length ? "No" : "—"), pub ? "supported" : (docs.length ? "gap" : "manual"),
+    pub ? {doc:pub.doc, page:pub.publicPage, snippet:pub.publicSnippet} : null, pub ? "" : "No public-availability statement found in the CHNA.");
+  const urlIn = (ds)=>{ for(const d of ds){ for(let i=0; i<(d.textByPage||[]).length; i++){ const m = (d.textByPage[i]||"").match(URL_RE); if(m) return {doc:d.name, page:i+1, snippet:m[0]}; } } return null; };
+  const url = urlIn(docs);
+  const web = pub && /web ?site|sitio web|online|en línea/i.test(pub.publicSnippet);
+  if(url || web) row("7a", "Made available on the hospital facility's website (list url)", url ? `Yes — ${url.snippet}` : "Yes — URL not found", "verify", url || {doc:pub.doc, page:pub.publicPage, snippet:pub.publicSnippet}, "Confirm the URL is the facility's own site and is live.");
+  else manual("7a", "Made available on the hospital facility's website (list url)", "No website reference found.");
+  manual("7b", "Made available on another website (list url)", "");
+  const paper = _findInDocs(docs, PAPER_COPY_TERMS);
+  if(paper) row("7c", "Made a paper copy available for public inspection without charge", "Yes", "verify", paper, "Confirm copies are available without charge at the facility.");
+  else manual("7c", "Made a paper copy available for public inspection without charge", "No paper-copy statement found.");
+  manual("7d", "Other (describe in Section C)", "");
+
+  const q8 = "Adopted an implementation strategy for the needs identified in the most recent CHNA?";
+  if(isDate) row("8", q8, "Yes", "supported", null, `IS adopted ${_ymd(isDate)} (compliance calendar).`);
+  else if(isDocs.length) row("8", q8, "Yes", "verify", docHit(isDocs, "isHits"), "An IS was uploaded; enter its adoption date in the compliance calendar.");
+  else manual("8", q8, "No Implementation Strategy uploaded.");
+  if(isDate) row("9", "Tax year the hospital facility last adopted an implementation strategy (20__)", String(_taxYearLabel(fyEndFor(isDate, month))), "supported", null, "From the IS adoption date in the compliance calendar.");
+  else manual("9", "Tax year the hospital facility last adopted an implementation strategy (20__)", "Enter the IS adoption date in the compliance calendar.");
+
+  const isPub = evals.find(e=>e.publicScore===100 && isDocs.some(d=>d.name===e.doc));
+  const isUrl = urlIn(isDocs);
+  if(isPub) row("10", "Most recently adopted IS posted on a website? (10a: list url)", isUrl ? `Yes — ${isUrl.snippet}` : "Yes — URL not found", "verify",
+    {doc:isPub.doc, page:isPub.publicPage, snippet:isPub.publicSnippet}, "Confirm the posting URL.");
+  else manual("10", "Most recently adopted IS posted on a website? (10a: list url)", isDocs.length ? "No posting statement found in the IS." : "No Implementation Strategy uploaded.");
+  manual("10b", "If not posted, is the IS attached to this return?", "");
+
+  // 11: Section C narrative on how each significant need is (or is not) addressed
+  const L = state.linkage;
+  const q11 = "Describe in Section C how significant needs are addressed, and why any are not";
+  if(L && L.needs.length){
+    const by = (st)=>L.needs.filter(n=>n.status===st);
+    const gaps = by("gap");
+    row("11", q11, `${by("addressed").length} addressed, ${by("rationale").length} not addressed with reasons, ${gaps.length} without either`,
+      gaps.length ? "gap" : "supported", null,
+      gaps.length ? `Add an action or a reason for: ${gaps.map(n=>n.label).join(", ")}.` : "Draft the Section C narrative from the Need-to-Strategy Linkage table.");
+  }else manual("11", q11, "No prioritized needs extracted; see the Need-to-Strategy Linkage card.");
+
+  const q12 = "Incurred a section 4959 excise tax for failing to conduct a CHNA as required?";
+  if(chnaDate){
+    const lapsed = computeCalendar(cal).items.some(it=>it.id==="chna_next" && it.status==="overdue" && _parseYmd(it.due) <= reportEnd);
+    row("12a", q12, lapsed ? "Possibly — review" : "No", lapsed ? "gap" : "supported", null,
+      lapsed ? "The next CHNA was due within this tax year and has not been recorded as adopted." : "The CHNA was current for this tax year per the compliance calendar.");
+  }else manual("12a", q12, "Enter the CHNA adoption date in the compliance calendar.");
+  manual("12b", "If 12a is Yes, filed Form 4720 to report the section 4959 excise tax?", "");
+  manual("12c", "If 12b is Yes, total section 4959 excise tax paid", "");
+  manual("13–24", "Financial assistance policy, billing and collections, emergency medical care and charges", "Outside the documents this app assesses.");
+  return {taxYearEnd:_ymd(reportEnd), rows};
+}
+
+function renderScheduleH(){
+  const tbl = document.getElementById("tbl_schedule_h");
+  if(!tbl) return;
+  const {taxYearEnd, rows} = buildScheduleH();
+  let html = "<tr><th>Line</th><th>Question</th><th>Suggested answer</th><th>Status</th><th>Evidence</th><th>Note</th></tr>";
+  for(const r of rows){
+    const ev = r.evidence ? `${sourceButton(r.evidence.doc, r.evidence.page, r.evidence.snippet, `${r.evidence.doc} p.${r.evidence.page}`)}${r.evidence.snippet ? `<div class="small">${escapeHtml(r.evidence.snippet)}</div>` : ""}` : "—";
+    html += `<tr>
+      <td class="mono"><b>${escapeHtml(r.line)}</b></td>
+      <td>${escapeHtml(r.question)}</td>
+      <td class="mono">${escapeHtml(r.answer)}</td>
+      <td>${SCHEDULE_H_STATUS[r.status]}</td>
+      <td>${ev}</td>
+      <td class="small">${escapeHtml(r.note || "—")}</td>
+    </tr>`;
+  }
+  tbl.innerHTML = html;
+  const hint = document.getElementById("sh_hint");
+  if(hint){
+    const n = (st)=>rows.filter(r=>r.status===st).length;
+    hint.textContent = `Tax year ending ${taxYearEnd} (fiscal year from the compliance calendar): ${n("supported")} supported, ${n("verify")} to verify, ${n("gap")} gap(s), ${n("manual")} to answer manually.`;
+  }
+}
+
+function scheduleHTable(){
+  const {taxYearEnd, rows} = buildScheduleH();
+  const head = ["Line","Question","Suggested answer","Status","Evidence","Supporting text","Note"];
+  return {taxYearEnd, aoa: [head].concat(rows.map(r=>[r.line, r.question, r.answer, r.status,
+    r.evidence ? `${r.evidence.doc} p.${r.evidence.page}` : "", r.evidence ? r.evidence.snippet : "", r.note]))};
+}
+
 // ------------------------------
 // Rendering
 // ------------------------------
 let chartMateriality=null, chartROI=null, chartTrend=null;
 
+const MATERIALITY_HEAD = "<tr><th>Disparity</th><th>Segment</th><th>Magnitude</th><th>Est. People Affected</th><th>n</th><th>95% CI</th><th>Gap to Benchmark</th><th>Δ Concentration</th><th>Gap Test</th><th>Prominence</th><th>Score</th><th>Recommendation</th><th>Source</th><th>Evidence</th></tr>";
+const MATERIALITY_COLS = 14;
+const EVIDENCE_HEAD = "<tr><th>Disparity</th><th>Snippet</th><th>Source</th><th>Match</th><th>Doc</th><th>Page</th></tr>";
+const EVIDENCE_COLS = 6;
+
+function reliabilityBadge(r){
+  if(r==="unstable") return ` <span class="badge b-weak" title="Small sample or wide interval — down-weighted in materiality">Unstable</span>`;
+  if(r==="suppressed") return ` <span class="badge b-weak" title="Marked suppressed/unreliable in the source — down-weighted in materiality">Suppressed</span>`;
+  if(r==="caution") return ` <span class="badge b-mod" title="Borderline sample size or interval — partially down-weighted">Use caution</span>`;
+  return "";
+}
+
+function fmtBenchmark(b){
+  if(!b) return "—";
+  const basis = b.level + (b.segment==="Overall" ? "" : ` ${b.segment}`);
+  return `${b.gap>0 ? "+" : ""}${b.gap.toFixed(1)} pp<div class="small">vs ${escapeHtml(basis)} ${fmtPct(b.value)}</div>`;
+}
+
+function fmtAffected(f){
+  if(!f.population) return `<span class="small" title="Enter a population for this segment under Population Denominators">—</span>`;
+  return `≈${fmtInt(f.affected)}<div class="small">of ${fmtInt(f.population.value)}${f.population.source==="manual" ? " (entered)" : ""}</div>`;
+}
+
+function fmtSignificance(s){
+  if(!s) return "—";
+  if(s.significant==null) return `<span class="small" title="${escapeHtml(s.note)}">Not tested</span>`;
+  const p = s.p<0.001 ? "p<0.001" : `p=${s.p.toFixed(3)}`;
+  const badge = s.significant ? `<span class="badge b-strong">Significant</span>` : `<span class="badge b-weak">Not significant</span>`;
+  return `${badge}<div class="small" title="${escapeHtml(s.note)}">${s.method==="CI overlap" ? "≈" : ""}${p} • ${escapeHtml(s.method)}</div>`;
+}
+
+function fmtCi(f){
+  const ci = ciFor(f);
+  if(!ci) return "—";
+  return `${ci.approx ? "≈" : ""}${ci.lo.toFixed(1)}–${ci.hi.toFixed(1)}%`;
+}
+
+function sourceTag(source){
+  if(source==="structured") return `<span class="pill">Structured</span>`;
+  if(source==="table") return `<span class="pill">Table cell</span>`;
+  if(source==="manual") return `<span class="pill">Analyst</span>`;
+  return `<span class="small">Text</span>`;
+}
+
 function strengthBadge(str){
   if(str==="Strong") return `<span class="badge b-strong">Strong</span>`;
   if(str==="Moderate") return `<span class="badge b-mod">Moderate</span>`;
@@ -481,34 +3154,45 @@ function renderTier1(){
     const subs = state.findings.filter(x=>x.segment!=="Overall").sort((a,b)=>b.concentration-a.concentration);
     if(subs.length){
       const s = subs[0];
-      document.getElementById("kpi_conc").textContent = `${s.disparity} Δ${s.concentration.toFixed(1)}% (${s.segment})`;
+      document.getElementById("kpi_conc").textContent = `${s.disparity} Δ${s.concentration.toFixed(1)}% (${s.segment})${s.significance && s.significance.significant===false ? " — not significant" : ""}`;
     }else{
       document.getElementById("kpi_conc").textContent = "—";
     }
-    const shortlist = state.findings.filter(f=>f.score>=55).length;
+    const shortlist = state.findings.filter(f=>f.score>=activeWeights().advanceModerate).length;
     document.getElementById("kpi_shortlist").textContent = `${shortlist}`;
     const angle = (state.transport.overall!=null && state.transport.age6574!=null) ?
       "Transportation appears small overall, but materially higher in older adults — strong case for targeted NEMT." :
       "Use highest materiality disparities to form a joint bank–hospital decision memo.";
     document.getElementById("kpi_angle").textContent = angle;
+  }else{
+    for(const id of ["kpi_top","kpi_conc","kpi_shortlist","kpi_angle"]) document.getElementById(id).textContent = "—";
+    document.getElementById("kpi_top_hint").textContent = state.candidates.length ?
+      "Accept findings in the Analyst Review Queue to compute materiality." : "Process documents to compute materiality.";
   }
 
   // Materiality table
   const tbl = document.getElementById("tbl_materiality");
   if(!state.findings.length){
-    tbl.innerHTML = "<tr><th>Disparity</th><th>Segment</th><th>Magnitude</th><th>Δ Concentration</th><th>Prominence</th><th>Score</th><th>Recommendation</th><th>Evidence</th></tr><tr><td colspan='8'>No results yet.</td></tr>";
+    const msg = state.candidates.length ? "No reviewed findings yet — accept or correct findings in the Analyst Review Queue." : "No results yet.";
+    tbl.innerHTML = MATERIALITY_HEAD + `<tr><td colspan='${MATERIALITY_COLS}'>${msg}</td></tr>`;
   }else{
-    let html = "<tr><th>Disparity</th><th>Segment</th><th>Magnitude</th><th>Δ Concentration</th><th>Prominence</th><th>Score</th><th>Recommendation</th><th>Evidence</th></tr>";
+    let html = MATERIALITY_HEAD;
     for(const f of state.findings.slice(0,10)){
       html += `<tr>
         <td><b>${escapeHtml(f.disparity)}</b></td>
         <td>${escapeHtml(f.segment)}</td>
-        <td class="mono">${fmtPct(f.magnitude)}</td>
+        <td class="mono">${fmtPct(f.magnitude)}${f.trend ? `<div class="small">${fmtChange(f.trend.change)} vs ${f.trend.from}${f.trend.fromUnreviewed ? " (unreviewed)" : ""}</div>` : ""}</td>
+        <td class="mono">${fmtAffected(f)}</td>
+        <td class="mono">${fmtInt(f.n)}</td>
+        <td class="mono">${fmtCi(f)}${reliabilityBadge(f.reliability)}</td>
+        <td class="mono">${fmtBenchmark(f.benchmark)}</td>
         <td class="mono">${f.concentration.toFixed(1)}%</td>
+        <td>${fmtSignificance(f.significance)}</td>
         <td class="mono">${f.prominence}</td>
         <td class="mono"><b>${f.score}</b></td>
         <td>${escapeHtml(f.recommend)}</td>
-        <td class="mono">${escapeHtml(f.evidenceRef||"—")}</td>
+        <td>${sourceTag(f.source)}</td>
+        <td class="mono">${sourceLink(f.evidenceRef, f.snippet)}</td>
       </tr>`;
     }
     tbl.innerHTML = html;
@@ -536,12 +3220,16 @@ function renderTier1(){
   if(state.transport.overall!=null && state.transport.age6574!=null){
     rec.push(`Transportation: overall ${fmtPct(state.transport.overall)} vs age 65–74 ${fmtPct(state.transport.age6574)} (amplification ${(state.transport.age6574/state.transport.overall).toFixed(1)}×). Treat as a high-value access lever (missed appointments).`);
   }
-  const adv = state.findings.filter(f=>f.score>=70).slice(0,3);
+  const adv = state.findings.filter(f=>f.score>=activeWeights().advanceHigh).slice(0,3);
   if(adv.length){
     rec.push(`Advance now: ${adv.map(x=>x.disparity).join(", ")}.`);
   }else{
     rec.push("Advance now: highest scoring disparity and validate geography + target segment in Tier 2.");
   }
+  const ns = state.findings.filter(f=>f.significance && f.significance.significant===false);
+  if(ns.length){
+    rec.push(`Not statistically significant vs Overall (α=${SIGNIFICANCE_ALPHA}): ${ns.map(f=>`${f.disparity} (${f.segment})`).join(", ")} — subgroup differential down-weighted; confirm with larger samples before targeting.`);
+  }
   rec.push("Create a joint bank–hospital memo: (1) documented need, (2) target segment/geography, (3) CRA criterion satisfied, (4) documentation plan, (5) cost baseline and KPI monitoring.");
   document.getElementById("tier1_recs").textContent = rec.join(" ");
 
@@ -549,32 +3237,287 @@ function renderTier1(){
   if(typeof renderChnaGaps === "function") renderChnaGaps();
 }
 
+// Every segment with a finding or a known population, Overall first
+function renderPopulations(){
+  const tbl = document.getElementById("tbl_populations");
+  if(!tbl) return;
+  const {extracted, manual} = state.populations;
+  const segs = new Set(["Overall"]);
+  for(const f of state.candidates.concat(state.findings)) segs.add(f.segment);
+  for(const seg of Object.keys(extracted).concat(Object.keys(manual))) segs.add(seg);
+  const affected = (seg)=>state.findings.filter(f=>f.segment===seg && f.affected!=null);
+  let html = "<tr><th>Segment</th><th>From documents</th><th>Analyst entry</th><th>Findings using it</th></tr>";
+  for(const seg of segs){
+    const x = extracted[seg];
+    const used = affected(seg);
+    html += `<tr>
+      <td><b>${escapeHtml(seg==="Overall" ? "Overall (service area)" : seg)}</b></td>
+      <td class="mono">${x ? `${fmtInt(x.value)}${x.basis ? `<div class="small">${escapeHtml(x.basis)}</div>` : ""}<div class="small">${sourceButton(x.doc, x.page, x.snippet, `${x.doc} p.${x.page}`)}</div>` : "—"}</td>
+      <td><input type="number" min="0" step="1" data-pop-segment="${escapeHtml(seg)}" value="${manual[seg] || ""}" placeholder="${x ? fmtInt(x.value).replace(/,/g,"") : "population"}" style="width:130px;"/></td>
+      <td class="small">${used.length ? used.map(f=>`${escapeHtml(f.disparity)}: ≈${fmtInt(f.affected)}`).join("<br>") : "—"}</td>
+    </tr>`;
+  }
+  tbl.innerHTML = html;
+}
+
+// Weight editor: profile picker plus one input per MATERIALITY_FIELDS entry, showing the active profile
+function renderMaterialityWeights(){
+  const box = document.getElementById("mw_fields");
+  if(!box || !state.materiality) return;
+  const {active, profiles} = state.materiality;
+  const W = activeWeights();
+  document.getElementById("mw_profile").innerHTML = Object.keys(profiles).sort((a,b)=>a==="Default" ? -1 : (b==="Default" ? 1 : a.localeCompare(b)))
+    .map(name=>`<option value="${escapeHtml(name)}"${name===active ? " selected" : ""}>${escapeHtml(name)}</option>`).join("");
+  box.innerHTML = MATERIALITY_FIELDS.map(({key, label})=>`<div class="field" style="flex:0 1 190px;"><label>${escapeHtml(label)}</label>
+    <input type="number" min="0" step="any" data-weight="${key}" value="${W[key]}"/></div>`).join("");
+  document.getElementById("mw_name").value = active==="Default" ? "" : active;
+  document.getElementById("mw_delete").disabled = active==="Default";
+}
+
+function renderSensitivity(){
+  const tbl = document.getElementById("tbl_sensitivity");
+  const tblW = document.getElementById("tbl_sensitivity_weights");
+  if(!tbl || !tblW) return;
+  const head = "<tr><th>Rank</th><th>Disparity</th><th>Segment</th><th>Score</th><th>Recommendation</th><th>Rank range</th><th>Score range</th><th>Recommendation changes under</th></tr>";
+  const headW = "<tr><th>Scenario</th><th>Findings re-ranked</th><th>Recommendations changed</th><th>Top-ranked finding</th></tr>";
+  if(!state.findings.length){
+    tbl.innerHTML = head + "<tr><td colspan='8'>No reviewed findings yet.</td></tr>";
+    tblW.innerHTML = headW + "<tr><td colspan='4'>No results yet.</td></tr>";
+    return;
+  }
+  const step = parseFloat(document.getElementById("mw_step")?.value) || 0.5;
+  const {rows, summary} = sensitivityAnalysis(step);
+  let html = head;
+  for(const r of rows){
+    const stable = r.rankMin===r.rankMax && !r.flips.length;
+    html += `<tr>
+      <td class="mono">${r.rank}</td>
+      <td><b>${escapeHtml(r.disparity)}</b></td>
+      <td>${escapeHtml(r.segment)}</td>
+      <td class="mono">${r.score}</td>
+      <td>${escapeHtml(r.recommend)}</td>
+      <td class="mono">${r.rankMin===r.rankMax ? r.rankMin : `${r.rankMin}–${r.rankMax}`}</td>
+      <td class="mono">${r.scoreMin}–${r.scoreMax}</td>
+      <td class="small">${stable ? '<span class="badge b-strong">Stable</span>' : (r.flips.length ? r.flips.map(escapeHtml).join("<br>") : "None (rank shifts only)")}</td>
+    </tr>`;
+  }
+  tbl.innerHTML = html;
+  html = headW;
+  for(const s of summary){
+    html += `<tr>
+      <td>${escapeHtml(s.label)}</td>
+      <td class="mono">${s.rankChanges}</td>
+      <td class="mono">${s.recChanges ? `<b>${s.recChanges}</b>` : 0}</td>
+      <td>${s.top ? escapeHtml(`${s.top.disparity}${s.top.segment!=="Overall" ? ` (${s.top.segment})` : ""}`) : "—"}</td>
+    </tr>`;
+  }
+  tblW.innerHTML = html;
+}
+
+function trendBadge(direction){
+  if(direction==="worsening") return `<span class="badge b-weak">Worsening</span>`;
+  if(direction==="improving") return `<span class="badge b-strong">Improving</span>`;
+  if(direction==="stable") return `<span class="badge b-mod">Stable</span>`;
+  if(direction==="not reported") return `<span class="small">Not in current cycle</span>`;
+  return `<span class="small">Single cycle</span>`;
+}
+
+function fmtChange(pp){
+  return pp==null ? "—" : `${pp>0 ? "+" : ""}${pp.toFixed(1)} pp`;
+}
+
+function renderTrends(){
+  const tbl = document.getElementById("tbl_trends");
+  if(!tbl) return;
+  const years = Object.keys(state.cycleFindings).map(Number).sort((a,b)=>a-b);
+  const head = `<tr><th>Disparity</th><th>Segment</th>${years.map(y=>`<th>${y}</th>`).join("")}<th>Change</th><th>Trend</th></tr>`;
+  const hint = document.getElementById("trend_hint");
+  if(hint){
+    hint.textContent = years.length>=2 ?
+      `Comparing ${years.length} CHNA cycles (${years.join(", ")}). Change is the latest cycle minus the previous cycle that reported the same indicator and segment. ` +
+      `Only ${years[years.length-1]} values go through the review queue; earlier-cycle values (marked *) are as extracted and have not been reviewed.` :
+      "Tag documents with at least two CHNA cycle years (left panel) to compare assessments.";
+  }
+  if(!state.trends.length){
+    tbl.innerHTML = head + `<tr><td colspan='${years.length+4}'>No findings to compare yet.</td></tr>`;
+    return;
+  }
+  let html = head;
+  for(const t of state.trends){
+    html += `<tr>
+      <td><b>${escapeHtml(t.disparity)}</b></td>
+      <td>${escapeHtml(t.segment)}</td>
+      ${years.map(y=>`<td class="mono">${fmtPct(t.values[y])}${t.unreviewed.includes(y) ? `<span class="small" title="Prior-cycle value as extracted; not reviewed">*</span>` : ""}</td>`).join("")}
+      <td class="mono">${fmtChange(t.change)}</td>
+      <td>${trendBadge(t.direction)}</td>
+    </tr>`;
+  }
+  tbl.innerHTML = html;
+}
+
+function renderDocCycles(){
+  const tbl = document.getElementById("tbl_doc_cycles");
+  if(!tbl) return;
+  const sources = state.docs.map((d,i)=>({kind:"doc", ref:i, name:d.name, cycle:d.cycle, role:d.role==="companion" ? "companion" : "chna"}));
+  for(const r of state.structured){
+    if(!sources.some(x=>x.kind==="structured" && x.ref===r.doc)) sources.push({kind:"structured", ref:r.doc, name:r.doc, cycle:r.cycle, role:null});
+  }
+  const years = cycleYears();
+  const current = years.length ? years[years.length-1] : null;
+  if(!sources.length){
+    tbl.innerHTML = "<tr><td class='small'>No documents loaded.</td></tr>";
+    return;
+  }
+  let html = "<tr><th>Source</th><th>Role</th><th>Year</th></tr>";
+  for(const x of sources){
+    const joins = x.role==="companion" ? sourceCycle(x, current) : null;
+    html += `<tr>
+      <td class="mono">${escapeHtml(x.name)}</td>
+      <td>${x.role ? `<select class="doc-role" data-ref="${x.ref}">
+        <option value="chna"${x.role==="chna" ? " selected" : ""}>CHNA</option>
+        <option value="companion"${x.role==="companion" ? " selected" : ""}>Companion (IS, Sch. H…)</option>
+      </select>` : `<span class="small">Survey table</span>`}</td>
+      <td><input class="cycle-year" type="number" min="1990" max="2100" placeholder="Current" data-kind="${x.kind}" data-ref="${escapeHtml(String(x.ref))}" value="${x.cycle==null ? "" : x.cycle}"/>
+        ${joins!=null ? `<div class="small">Joins the ${joins} cycle</div>` : ""}</td>
+    </tr>`;
+  }
+  tbl.innerHTML = html;
+}
+
+function reviewBadge(f){
+  if(f.review==="accepted") return `<span class="badge b-strong">Accepted</span>`;
+  if(f.review==="edited") return `<span class="badge b-strong">Corrected</span>`;
+  if(f.review==="rejected") return `<span class="badge b-weak">Rejected</span>`;
+  if(f.reviewStale) return `<span class="badge b-mod" title="The extracted value changed after review">Pending (value changed)</span>`;
+  return `<span class="badge b-mod">Pending</span>`;
+}
+
+function renderReviewQueue(){
+  const tbl = document.getElementById("tbl_review");
+  if(!tbl) return;
+  const pending = state.candidates.filter(f=>f.review==="pending").length;
+  document.getElementById("review_counts").textContent =
+    `${state.candidates.length} extracted • ${pending} pending • ${state.findings.length} in analysis`;
+  let html = "<tr><th>Disparity</th><th>Segment</th><th>Extracted</th><th>Evidence</th><th>Status</th><th>Corrected value</th><th>Corrected segment</th><th>Note</th><th></th></tr>";
+  const rows = state.candidates.slice().sort((a,b)=>
+    (a.review==="pending" ? 0 : 1) - (b.review==="pending" ? 0 : 1) || a.disparity.localeCompare(b.disparity) || a.segment.localeCompare(b.segment));
+  for(const f of rows){
+    const r = state.reviews[reviewKey(f)];
+    const edited = r && r.status==="edited";
+    html += `<tr data-review-id="${escapeHtml(f.id)}">
+      <td><b>${escapeHtml(f.disparity)}</b></td>
+      <td>${escapeHtml(f.segment)}</td>
+      <td class="mono">${fmtPct(f.magnitude)}${f.confidence!=null ? `<div class="small">match ${fmtConfidence(f.confidence)}</div>` : ""}</td>
+      <td class="mono">${sourceLink(f.evidenceRef, f.snippet)}</td>
+      <td>${reviewBadge(f)}${f.reviewedBy ? `<div class="small">${escapeHtml(f.reviewedBy)}: ${escapeHtml(f.reviewNote||"—")}</div>` : ""}</td>
+      <td><input class="rv-value" type="text" style="width:80px;" placeholder="${escapeHtml(String(f.magnitude))}" value="${edited ? escapeHtml(String(r.value)) : ""}"/></td>
+      <td><input class="rv-segment" type="text" placeholder="${escapeHtml(f.segment)}" value="${edited ? escapeHtml(r.segment) : ""}"/></td>
+      <td><input class="rv-note" type="text" placeholder="Reason"/></td>
+      <td style="white-space:nowrap;">
+        <button type="button" data-review-action="accept">Accept</button>
+        <button type="button" data-review-action="edit">Save correction</button>
+        <button type="button" class="danger" data-review-action="reject">Reject</button>
+        ${r ? `<button type="button" data-review-action="reopen">Reopen</button>` : ""}
+      </td>
+    </tr>`;
+  }
+  for(const m of state.manualFindings){
+    const d = DISPARITIES.find(x=>x.key===m.key);
+    html += `<tr data-review-id="${escapeHtml(m.id)}">
+      <td><b>${escapeHtml(d ? d.label : m.key)}</b></td>
+      <td>${escapeHtml(m.segment)}</td>
+      <td class="mono">${fmtPct(m.value)}</td>
+      <td>${sourceTag("manual")}</td>
+      <td>${manualInScope(m) ? `<span class="badge b-strong">Added</span>` : `<span class="badge b-mod" title="Entered for: ${escapeHtml((m.docs||[]).join(", ") || "no documents")}">Not applied — other documents</span>`}<div class="small">${escapeHtml(m.by)}: ${escapeHtml(m.note)}</div></td>
+      <td></td><td></td>
+      <td><input class="rv-note" type="text" placeholder="Reason for removal"/></td>
+      <td><button type="button" class="danger" data-review-action="remove">Remove</button></td>
+    </tr>`;
+  }
+  if(!state.candidates.length && !state.manualFindings.length){
+    html += "<tr><td colspan='9'>No extracted findings yet. Process documents or add a finding below.</td></tr>";
+  }
+  tbl.innerHTML = html;
+
+  const sel = document.getElementById("rv_add_key");
+  if(sel){
+    const cur = sel.value;
+    sel.innerHTML = DISPARITIES.map(d=>`<option value="${escapeHtml(d.key)}">${escapeHtml(d.label)}</option>`).join("");
+    if(DISPARITIES.some(d=>d.key===cur)) sel.value = cur;
+  }
+
+  const logTbl = document.getElementById("tbl_review_log");
+  if(!logTbl) return;
+  let log = "<tr><th>When</th><th>Reviewer</th><th>Action</th><th>Finding</th><th>Change</th><th>Note</th></tr>";
+  if(!state.reviewLog.length) log += "<tr><td colspan='6'>No review actions yet.</td></tr>";
+  for(const e of state.reviewLog.slice().reverse()){
+    log += `<tr>
+      <td class="mono">${escapeHtml(e.at.replace("T"," ").slice(0,16))}</td>
+      <td>${escapeHtml(e.by)}</td>
+      <td>${escapeHtml(e.action)}</td>
+      <td>${escapeHtml(e.finding)}</td>
+      <td class="mono">${escapeHtml(e.change)}</td>
+      <td>${escapeHtml(e.note || "—")}</td>
+    </tr>`;
+  }
+  logTbl.innerHTML = log;
+}
+
+function fmtConfidence(c){
+  return c==null ? "—" : `${Math.round(c*100)}%`;
+}
+
 function renderEvidence(){
   const tbl = document.getElementById("tbl_evidence");
-  if(!state.evidence.length){
-    tbl.innerHTML = "<tr><th>Disparity</th><th>Snippet</th><th>Doc</th><th>Page</th></tr><tr><td colspan='4'>No evidence captured yet.</td></tr>";
+  const accepted = state.evidence.filter(e=>!e.lowConfidence);
+  if(!accepted.length){
+    tbl.innerHTML = EVIDENCE_HEAD + `<tr><td colspan='${EVIDENCE_COLS}'>No evidence captured yet.</td></tr>`;
+  }else{
+    const slice = accepted.slice(-25).reverse();
+    let html = EVIDENCE_HEAD;
+    for(const e of slice){
+      html += `<tr>
+        <td>${escapeHtml(e.disparity)}</td>
+        <td>${escapeHtml(e.snippet)}</td>
+        <td>${sourceTag(e.source)}</td>
+        <td class="mono">${fmtConfidence(e.confidence)}${e.trigger ? `<div class="small">${escapeHtml(fmtTrigger(e.trigger))}</div>` : ""}</td>
+        <td class="mono">${escapeHtml(e.doc)}</td>
+        <td class="mono">${sourceButton(e.doc, e.page, e.snippet, String(e.page))}${ocrBadge(e.ocrConfidence)}</td>
+      </tr>`;
+    }
+    tbl.innerHTML = html;
+  }
+
+  // Low-confidence matches: shown for review, never turned into findings
+  const low = state.evidence.filter(e=>e.lowConfidence);
+  const lowTbl = document.getElementById("tbl_evidence_low");
+  if(!lowTbl) return;
+  document.getElementById("ev_low_count").textContent = low.length;
+  let html = "<tr><th>Disparity</th><th>Snippet</th><th>Confidence</th><th>Why held back</th><th>Doc</th><th>Page</th></tr>";
+  if(!low.length){
+    lowTbl.innerHTML = html + "<tr><td colspan='6'>No low-confidence matches.</td></tr>";
     return;
   }
-  const slice = state.evidence.slice(-25).reverse();
-  let html = "<tr><th>Disparity</th><th>Snippet</th><th>Doc</th><th>Page</th></tr>";
-  for(const e of slice){
+  for(const e of low.slice(-25).reverse()){
     html += `<tr>
       <td>${escapeHtml(e.disparity)}</td>
       <td>${escapeHtml(e.snippet)}</td>
+      <td class="mono">${fmtConfidence(e.confidence)}</td>
+      <td class="small">${escapeHtml(e.reason || "weak binding")}${e.trigger ? `<div>${escapeHtml(fmtTrigger(e.trigger))}</div>` : ""}</td>
       <td class="mono">${escapeHtml(e.doc)}</td>
-      <td class="mono">${e.page}</td>
+      <td class="mono">${sourceButton(e.doc, e.page, e.snippet, String(e.page))}${ocrBadge(e.ocrConfidence)}</td>
     </tr>`;
   }
-  tbl.innerHTML = html;
+  lowTbl.innerHTML = html;
 }
 
 function renderTier2(){
   const tbl = document.getElementById("tbl_cra");
   if(!state.opportunities.length){
-    tbl.innerHTML = "<tr><th>Opportunity</th><th>CRA test mapping</th><th>Criterion satisfied</th><th>Strength</th><th>Score</th><th>Scope guidance</th><th>Application packet checklist</th></tr><tr><td colspan='7'>No opportunities yet.</td></tr>";
+    tbl.innerHTML = "<tr><th>Opportunity</th><th>CRA test mapping</th><th>Criterion satisfied</th><th>Strength</th><th>Score</th><th>AA Attribution</th><th>Scope guidance</th><th>Application packet checklist</th></tr><tr><td colspan='8'>No opportunities yet.</td></tr>";
     return;
   }
-  let html = "<tr><th>Opportunity</th><th>CRA test mapping</th><th>Criterion satisfied</th><th>Strength</th><th>Score</th><th>Scope guidance</th><th>Application packet checklist</th></tr>";
+  let html = "<tr><th>Opportunity</th><th>CRA test mapping</th><th>Criterion satisfied</th><th>Strength</th><th>Score</th><th>AA Attribution</th><th>Scope guidance</th><th>Application packet checklist</th></tr>";
   for(const o of state.opportunities){
     html += `<tr>
       <td><b>${escapeHtml(o.opp)}</b></td>
@@ -582,11 +3525,14 @@ function renderTier2(){
       <td>${escapeHtml(o.criterion)}</td>
       <td>${strengthBadge(o.strength)}</td>
       <td class="mono"><b>${o.score}</b></td>
+      <td>${fmtAttribution(o.geo)}</td>
       <td>${escapeHtml(o.scope)}</td>
-      <td>${escapeHtml(o.checklist)}</td>
+      <td>${escapeHtml(o.checklist)}${CRA_RULE_SETS[o.ruleSet].checklist.map(x=>`<div class="small">• ${escapeHtml(x)}</div>`).join("")}</td>
     </tr>`;
   }
   tbl.innerHTML = html;
+  const rs = document.getElementById("t2_ruleset");
+  if(rs) rs.textContent = `Criteria, citations and test names: ${ruleSetLabel()}.`;
 
   const top = state.opportunities[0];
   document.getElementById("t2_best").textContent = `${top.score}`;
@@ -611,8 +3557,21 @@ function renderTier2(){
     "1) Document the disparity + affected segment (CHNA excerpt with page). 2) State the CRA qualifying criterion satisfied (and why benefit is targeted to LMI/qualifying population). 3) Define assessment area attribution (who benefited, where). 4) Provide invoices/contracts and beneficiary counts. 5) Define baseline metric + monitoring cadence.";
 }
 
+function fmtAttribution(g){
+  if(!g) return "—";
+  const shares = g.inAA==null ? "" :
+    `<div class="small">${Math.round(g.inAA*100)}% in AA${g.lmiShare==null ? "" : ` • ${Math.round(g.lmiShare*100)}% LMI`}</div>`;
+  const area = g.geographies.length ? `<div class="small">${escapeHtml(g.geographies.join(", "))} (${escapeHtml(g.basis)})</div>` : "";
+  return `<span class="mono">${g.attribution}</span>${shares}${area}${g.note ? `<div class="small">${escapeHtml(g.note)}</div>` : ""}`;
+}
+
 function setTier3FromOpportunity(opp){
   if(!opp) return;
+  const target = document.getElementById("c_target");
+  if(target && opp.target) target.value = opp.target.people;
+  // measured AA and LMI shares replace the CRA Scope defaults
+  if(opp.geo && opp.geo.inAA!=null) document.getElementById("c_aa").value = opp.geo.inAA.toFixed(2);
+  if(opp.geo && opp.geo.lmiShare!=null) document.getElementById("c_lmi").value = opp.geo.lmiShare.toFixed(2);
   // Tier 3 currently models the NEMT scenario. If transportation is selected, prefill a conservative transport-share proxy.
   // (Keeps the existing Tier 3 ROI model intact.)
   if(opp.kind==="nmt" && state.transport.overall!=null){
@@ -772,12 +3731,13 @@ function runTier3(){
 
   // Audit memo
   const topOpp = state.selectedOpp || state.opportunities[0] || null;
-  const crit = topOpp ? topOpp.criterion : CRA_CRITERIA[activity]?.criterion || "—";
+  const crit = topOpp ? topOpp.criterion : (OPPORTUNITY_TEMPLATES[activity] ? craCriterion(activity).criterion : "—");
   const memo =
 `TIER 3 — TOTAL PROGRAM COST & ROI (Audit-ready)
 
 Selected activity: ${activity}
 CRA criterion satisfied: ${crit}
+CRA rule set: ${ruleSetLabel()}
 
 A) Documented transportation disparity (CHNA)
 - Transportation overall: ${state.transport.overall==null? "Not detected" : fmtPct(state.transport.overall)}
@@ -814,27 +3774,291 @@ Generated: ${new Date().toISOString()}`;
 
 }
 
+// Re-run Tier 1–2 from the parsed documents plus any structured imports, then refresh the views.
+// Used after file processing, demo load, and survey-table imports.
+function reanalyze(){
+  state.evidence=[]; state.findings=[]; state.opportunities=[]; state.selectedOpp=null; state.chnaEval=[];
+  state.transport={overall:null, age6574:null};
+
+  // earlier CHNA cycles are scanned on their own so each indicator × segment can be compared across cycles;
+  // the review queue covers the current cycle only, so prior-cycle values are kept as extracted and marked
+  // unreviewed, and their evidence hits are dropped so the evidence table stays current-cycle
+  const years = cycleYears();
+  const current = years.length ? years[years.length-1] : null;
+  state.cycleFindings = {};
+  for(const y of years.slice(0,-1)){
+    for(const d of state.docs){ if(_inCycle(d, y, current)) scanDoc(d); }
+    applyStructuredRows(y, current);
+    state.cycleFindings[y] = state.findings.map(f=>({...f, review:"unreviewed"}));
+    state.findings = [];
+    state.evidence = [];
+  }
+  for(const d of state.docs){ if(_inCycle(d, current, current)) scanDoc(d); }
+  applyStructuredRows(current, current);
+  applyReviews();
+  if(current!=null) state.cycleFindings[current] = state.findings;
+  computeTrends(current);
+  // transport spotlight reads the winning finding for each segment, whatever its source
+  const tOverall = state.findings.find(f=>f.id==="transport__Overall");
+  const t6574 = state.findings.find(f=>f.id==="transport__Age 65–74");
+  state.transport = {overall: tOverall ? tOverall.magnitude : null, age6574: t6574 ? t6574.magnitude : null};
+  state.chnaEval = state.docs.map(evalDocForElements);
+  state.populations.extracted = extractPopulations(state.docs.filter(d=>_inCycle(d, current, current)));
+  computeMateriality();
+  buildOpportunities();
+  state.selectedOpp = state.opportunities[0] || null;
+  computeNeedLinkage(current);
+
+  document.getElementById("docs_count").textContent = state.docs.length;
+  document.getElementById("ev_count").textContent = state.evidence.filter(e=>!e.lowConfidence).length;
+
+  renderTransportSpotlight();
+  renderTier1();
+  renderSensitivity();
+  renderPopulations();
+  renderEvidence();
+  renderTier2();
+  renderTrends();
+  renderDocCycles();
+  renderReviewQueue();
+  renderLinkage();
+  renderCalendar();
+  renderScheduleH();
+}
+
+// ------------------------------
+// Source viewer
+// Opens the cited page next to the dashboard: PDFs are rendered with pdf.js and the evidence
+// snippet is highlighted over its text items; other formats (and OCR'd pages) show the
+// extracted page text with the snippet marked.
+// ------------------------------
+const _viewer = {doc:null, page:1, snippet:"", pdf:null, pdfDoc:null};
+
+function parseEvidenceRef(ref){
+  const m = String(ref||"").match(/^(.*) p\.(\d+)$/);
+  return m ? {doc:m[1], page:parseInt(m[2],10)} : null;
+}
+
+function sourceButton(docName, page, snippet, label){
+  if(!state.docs.some(d=>d.name===docName) || !(page>0)) return escapeHtml(label);
+  return `<button type="button" class="srclink" data-src-doc="${escapeHtml(docName)}" data-src-page="${page}" data-src-snip="${escapeHtml(snippet||"")}" title="Open this page in the source viewer">${escapeHtml(label)}</button>`;
+}
+
+// "Doc.pdf p.3" -> viewer link; structured-row refs and unknown documents stay plain text
+function sourceLink(ref, snippet){
+  const r = parseEvidenceRef(ref);
+  return r ? sourceButton(r.doc, r.page, snippet, ref) : escapeHtml(ref||"—");
+}
+
+function _normText(s){ return String(s||"").replace(/\s+/g," ").trim().toLowerCase(); }
+
+// Character ranges to highlight in (normalized) page text: the whole snippet when it occurs,
+// else its leading words (snippets are capped at 280 chars), else its pieces ("row × column: value" table snippets)
+function _matchRanges(text, snippet){
+  const full = _normText(snippet);
+  if(!full) return [];
+  for(const probe of [full, full.slice(0,80).replace(/\s\S*$/,"")]){
+    const i = probe.length>=8 ? text.indexOf(probe) : -1;
+    if(i>=0) return [{start:i, end:i+probe.length}];
+  }
+  const out = [];
+  for(const part of full.split(/\s+×\s+|:\s+|\s+\(n=\d+\)/).map(x=>x.trim()).filter(x=>x.length>=2)){
+    const i = text.indexOf(part);
+    if(i>=0) out.push({start:i, end:i+part.length});
+  }
+  return out;
+}
+
+function _markedText(text, ranges){
+  const norm = String(text||"");
+  let html = "", at = 0;
+  for(const r of ranges.slice().sort((a,b)=>a.start-b.start)){
+    if(r.start < at) continue;
+    html += escapeHtml(norm.slice(at, r.start)) + `<mark class="hl-text">${escapeHtml(norm.slice(r.start, r.end))}</mark>`;
+    at = r.end;
+  }
+  return {html: html + escapeHtml(norm.slice(at)), found: ranges.length>0};
+}
+
+async function openSourceViewer(docName, page, snippet){
+  const doc = state.docs.find(d=>d.name===docName);
+  if(!doc){
+    showErr(`Source document ${escapeHtml(docName)} is not loaded in this session.`);
+    return;
+  }
+  _viewer.doc = doc;
+  _viewer.page = clamp(page || 1, 1, doc.pages || 1);
+  _viewer.snippet = snippet || "";
+  const pane = document.getElementById("source_viewer");
+  pane.classList.add("open");
+  pane.setAttribute("aria-hidden", "false");
+  await renderSourceViewer();
+}
+
+function closeSourceViewer(){
+  const pane = document.getElementById("source_viewer");
+  if(!pane) return;
+  pane.classList.remove("open");
+  pane.setAttribute("aria-hidden", "true");
+  if(_viewer.pdf) _viewer.pdf.destroy();
+  Object.assign(_viewer, {doc:null, page:1, snippet:"", pdf:null, pdfDoc:null});
+}
+
+async function renderSourceViewer(){
+  const doc = _viewer.doc;
+  if(!doc) return;
+  const body = document.getElementById("viewer_body");
+  const pageNo = _viewer.page;
+  const pageText = (doc.textByPage || [])[pageNo-1] || "";
+  const ocr = (doc.ocrByPage || [])[pageNo-1];
+  document.getElementById("viewer_title").textContent = doc.name;
+  document.getElementById("viewer_prev").disabled = pageNo <= 1;
+  document.getElementById("viewer_next").disabled = pageNo >= (doc.pages || 1);
+  const meta = document.getElementById("viewer_meta");
+  meta.textContent = `Page ${pageNo} of ${doc.pages || 1}`;
+
+  if(!doc.pdfData || typeof pdfjsLib === "undefined" || !pdfjsLib.getDocument){
+    const marked = _markedText(pageText, _matchRanges(pageText.toLowerCase(), _viewer.snippet));
+    body.innerHTML = `<div class="codebox">${marked.html || "(no text on this page)"}</div>`;
+    meta.textContent += marked.found ? " • evidence highlighted" : (_viewer.snippet ? " • snippet not found on this page" : "");
+    return;
+  }
+
+  body.innerHTML = `<div class="small">Rendering page ${pageNo}…</div>`;
+  try{
+    if(_viewer.pdfDoc !== doc.name){
+      if(_viewer.pdf) _viewer.pdf.destroy();
+      _viewer.pdf = await pdfjsLib.getDocument({data: doc.pdfData.slice()}).promise;
+      _viewer.pdfDoc = doc.name;
+    }
+    const page = await _viewer.pdf.getPage(pageNo);
+    if(_viewer.doc !== doc || _viewer.page !== pageNo) return; // navigated away while loading
+    const base = page.getViewport({scale:1});
+    const viewport = page.getViewport({scale: Math.max(0.5, (body.clientWidth - 4) / base.width)});
+    const dpr = window.devicePixelRatio || 1;
+    const wrap = document.createElement("div");
+    wrap.className = "viewer-page";
+    wrap.style.width = `${viewport.width}px`;
+    wrap.style.height = `${viewport.height}px`;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.floor(viewport.width * dpr);
+    canvas.height = Math.floor(viewport.height * dpr);
+    canvas.style.width = `${viewport.width}px`;
+    canvas.style.height = `${viewport.height}px`;
+    wrap.appendChild(canvas);
+    body.innerHTML = "";
+    body.appendChild(wrap);
+    await page.render({canvasContext: canvas.getContext("2d"), viewport, transform: dpr!==1 ? [dpr,0,0,dpr,0,0] : null}).promise;
+
+    // Same joining rule as extractPdfText, so text-layer offsets line up with the evidence snippet
+    const content = await page.getTextContent();
+    let joined = "";
+    const spans = [];
+    for(const it of content.items){
+      let str = String(it.str||"").replace(/\s+/g," ").toLowerCase();
+      if(!str.trim()) continue;
+      if(joined && !joined.endsWith(" ") && !str.startsWith(" ")) joined += " ";
+      if(joined.endsWith(" ") && str.startsWith(" ")) str = str.slice(1);
+      spans.push({it, start: joined.length, end: joined.length + str.length});
+      joined += str;
+    }
+    const ranges = _matchRanges(joined, _viewer.snippet);
+    let first = null;
+    for(const sp of spans){
+      if(!ranges.some(r=>sp.start < r.end && sp.end > r.start)) continue;
+      const tx = pdfjsLib.Util.transform(viewport.transform, sp.it.transform);
+      const h = Math.hypot(tx[2], tx[3]);
+      const box = document.createElement("div");
+      box.className = "hl";
+      box.style.left = `${tx[4]}px`;
+      box.style.top = `${tx[5] - h}px`;
+      box.style.width = `${sp.it.width * viewport.scale}px`;
+      box.style.height = `${h}px`;
+      wrap.appendChild(box);
+      if(!first) first = box;
+    }
+    if(first) first.scrollIntoView({block:"center"});
+    if(ranges.length){
+      meta.textContent += " • evidence highlighted";
+    }else if(ocr){
+      // scanned page: no text layer to highlight on, so show the OCR text with the snippet marked
+      const marked = _markedText(pageText, _matchRanges(pageText.toLowerCase(), _viewer.snippet));
+      meta.textContent += " • scanned page; snippet marked in the OCR text below";
+      const box = document.createElement("div");
+      box.className = "codebox";
+      box.style.marginTop = "12px";
+      box.innerHTML = marked.html;
+      body.appendChild(box);
+    }else if(_viewer.snippet){
+      meta.textContent += " • snippet not found on this page";
+    }
+  }catch(e){
+    console.error(e);
+    body.innerHTML = `<div class="small">Could not render this page (${escapeHtml(e && e.message ? e.message : String(e))}).</div>`;
+  }
+}
+
+// Draft text cites evidence as "Doc.pdf p.N"; list each cited page as a viewer link under the preview
+function renderDraftSources(text){
+  const el = document.getElementById("draft_sources");
+  if(!el) return;
+  const refs = [];
+  for(const d of state.docs){
+    const re = new RegExp(`${_escapeRe(d.name)} p\\.(\\d+)`, "g");
+    let m;
+    while((m = re.exec(text))){
+      const ref = `${d.name} p.${m[1]}`;
+      if(!refs.includes(ref)) refs.push(ref);
+    }
+  }
+  el.innerHTML = refs.length ?
+    "Cited sources: " + refs.map(ref=>{
+      const r = parseEvidenceRef(ref);
+      const ev = state.evidence.find(e=>e.doc===r.doc && e.page===r.page && !e.lowConfidence);
+      return sourceLink(ref, ev ? ev.snippet : "");
+    }).join(" · ") :
+    "";
+}
+
 // ------------------------------
 // Export
 // ------------------------------
+// Save a generated file through a temporary link
+function downloadBlob(blob, name){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 function exportReport(){
   const report = {
     generated_at: new Date().toISOString(),
-    docs: state.docs.map(d=>({name:d.name, pages:d.pages, type:d.type})),
+    docs: state.docs.map(d=>({name:d.name, pages:d.pages, type:d.type, cycle:d.cycle, role:d.role || "chna"})),
     transport: state.transport,
     tier1_findings: state.findings,
+    population_denominators: state.populations,
+    materiality_weights: {profile: state.materiality ? state.materiality.active : "Default", weights: activeWeights()},
+    materiality_sensitivity: state.findings.length ? sensitivityAnalysis(parseFloat(document.getElementById("mw_step")?.value) || 0.5) : null,
+    extracted_findings: state.candidates.map(f=>({id:f.id, disparity:f.disparity, segment:f.segment, magnitude:f.magnitude, evidenceRef:f.evidenceRef, source:f.source, review:f.review, reviewedBy:f.reviewedBy, reviewNote:f.reviewNote})),
+    review_log: state.reviewLog,
+    cra_rule_set: {key: state.ruleSet, label: ruleSetLabel()},
     tier2_opportunities: state.opportunities,
+    structured_rows: state.structured,
+    cycle_trends: state.trends,
+    need_linkage: state.linkage,
+    schedule_h_part_v_b: buildScheduleH(),
+    compliance_calendar: state.calendar ? {settings: state.calendar, deadlines: computeCalendar(state.calendar).items} : null,
+    benchmarks: state.benchmarks,
+    assessment_area: {files: state.geo.files, entries: state.geo.aa, tracts: Object.keys(state.geo.tracts).length, zips: Object.keys(state.geo.zips).length},
+    beneficiary_log: state.benLog ? {file: state.benLog.file, ...beneficiaryLogFromTable(state.benLog.table)} : null,
     evidence: state.evidence.slice(-100)
   };
-  const blob = new Blob([JSON.stringify(report,null,2)], {type:"application/json"});
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "chna_cra_dashboard_report.json";
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadBlob(new Blob([JSON.stringify(report,null,2)], {type:"application/json"}), "chna_cra_dashboard_report.json");
 }
 
 // ------------------------------
@@ -871,17 +4095,46 @@ document.getElementById("btn_export").addEventListener("click", exportReport);
 
 document.getElementById("btn_reset").addEventListener("click", ()=>{
   clearErr();
+  if(!state.reviewsDemo && state.reviewLog.length &&
+    !window.confirm(`Reset also deletes the saved review decisions and audit log (${state.reviewLog.length} entries) from this browser. Continue?`)) return;
+  const leavingDemo = state.reviewsDemo;
   state.docs=[]; state.evidence=[]; state.findings=[]; state.opportunities=[]; state.selectedOpp=null; state.chnaEval=[];
+  state.structured=[]; state.cycleFindings={}; state.trends=[]; state.benchmarks=[];
+  state.geo={aa:[], tracts:{}, zips:{}, files:{}}; state.benLog=null;
+  state.candidates=[]; state.reviews={}; state.manualFindings=[]; state.reviewLog=[]; state.linkage=null;
+  // resetting out of the demo reloads the saved trail (as on a fresh page load) instead of erasing it
+  state.reviewsDemo = false;
+  if(leavingDemo) Object.assign(state, loadReviews());
+  else saveReviews();
   state.transport={overall:null, age6574:null};
   document.getElementById("docs_count").textContent="0";
   document.getElementById("ev_count").textContent="0";
   document.getElementById("top_t2").textContent="—";
   document.getElementById("tbl_materiality").innerHTML="";
   document.getElementById("tbl_evidence").innerHTML="";
+  if(document.getElementById("tbl_evidence_low")) document.getElementById("tbl_evidence_low").innerHTML="";
+  if(document.getElementById("ev_low_count")) document.getElementById("ev_low_count").textContent="0";
   document.getElementById("tbl_cra").innerHTML="";
   if(document.getElementById("tbl_chna_gaps")) document.getElementById("tbl_chna_gaps").innerHTML="";
+  if(document.getElementById("tbl_chna_elements")) document.getElementById("tbl_chna_elements").innerHTML="";
   if(document.getElementById("chna_gap_recs")) document.getElementById("chna_gap_recs").textContent="—";
-  document.getElementById("audit_out").textContent="";
+  const structStatus = document.getElementById("struct_status");
+  if(structStatus) structStatus.textContent = "No survey tables imported.";
+  const benchStatus = document.getElementById("bench_status");
+  if(benchStatus) benchStatus.textContent = "No benchmark file loaded.";
+  if(document.getElementById("geo_status")) renderGeoStatus();
+  if(document.getElementById("benlog_input")) document.getElementById("benlog_input").value = "";
+  renderBeneficiaryLog();
+  if(document.getElementById("audit_out")) document.getElementById("audit_out").textContent="";
+  renderTrends();
+  renderDocCycles();
+  renderReviewQueue();
+  renderLinkage();
+  renderScheduleH();
+  renderSensitivity();
+  state.populations.extracted = {};
+  renderPopulations();
+  closeSourceViewer();
   if(chartMateriality) chartMateriality.destroy();
   if(chartROI) chartROI.destroy();
   if(chartTrend) chartTrend.destroy();
@@ -897,24 +4150,25 @@ document.getElementById("btn_demo").addEventListener("click", ()=>{
     "Age 65-74: I had transportation problems 8.5%. " +
     "Of patients surveyed, 7.5% reported food insecurity and 6% reported housing needs. " +
     "Unweighted count 61. Martin County ZIP 56031.";
-  state.docs=[{name:"Demo_CHNA.pdf", type:"pdf", pages:1, textByPage:[demoText]}];
-  state.evidence=[]; state.findings=[]; state.opportunities=[]; state.selectedOpp=null; state.chnaEval=[];
-  state.transport={overall:null, age6574:null};
-
-  scanDoc(state.docs[0]);
-  state.chnaEval = state.docs.map(evalDocForElements);
-  computeMateriality();
-  buildOpportunities();
-  state.selectedOpp = state.opportunities[0] || null;
-
-  document.getElementById("docs_count").textContent = state.docs.length;
-  document.getElementById("ev_count").textContent = state.evidence.length;
-
-  renderTransportSpotlight();
-  renderTier1();
-  renderEvidence();
-  renderTier2();
-  showOk("Demo loaded (transportation differential).");
+  // prior-cycle assessment for the trend view
+  const priorText =
+    "Why did you not get or delay getting the preventative care you thought you needed? Total: I had transportation problems 2.4%. " +
+    "Age 65-74: I had transportation problems 5.9%. " +
+    "Of patients surveyed, 8.1% reported food insecurity.";
+  state.docs=[
+    {name:"Demo_CHNA_2019.pdf", type:"pdf", pages:1, textByPage:[priorText], cycle:2019},
+    {name:"Demo_CHNA_2022.pdf", type:"pdf", pages:1, textByPage:[demoText], cycle:2022}
+  ];
+  state.reviews={}; state.manualFindings=[]; state.reviewLog=[]; state.reviewsDemo=true;
+  reanalyze();
+  // demo findings are pre-accepted so the downstream views populate; real uploads start in the review queue
+  const at = new Date().toISOString();
+  for(const f of state.candidates){
+    state.reviews[reviewKey(f)] = {status:"accepted", value:f.magnitude, segment:f.segment, extracted:f.magnitude, note:"Demo data", by:"Demo", at};
+  }
+  state.reviewLog.push({at, by:"Demo", action:"Accepted", finding:`${state.candidates.length} demo finding(s)`, change:"—", note:"Demo data"});
+  reanalyze();
+  showOk("Demo loaded (transportation differential, 2019 vs 2022 CHNA cycles).");
 });
 
 document.getElementById("btn_process").addEventListener("click", async ()=>{
@@ -926,45 +4180,36 @@ document.getElementById("btn_process").addEventListener("click", async ()=>{
       showErr("No files selected.");
       return;
     }
-    state.docs=[]; state.evidence=[]; state.findings=[]; state.opportunities=[]; state.selectedOpp=null; state.chnaEval=[];
-    state.transport={overall:null, age6574:null};
+    state.docs=[];
+    // leaving the demo: bring back the saved review trail
+    if(state.reviewsDemo){ Object.assign(state, loadReviews()); state.reviewsDemo = false; }
 
     for(const f of files){
       const ext = (f.name.split(".").pop()||"").toLowerCase();
       let parsed=null;
       try{
-        if(ext==="pdf") parsed = await extractPdfText(f);
+        if(ext==="pdf") parsed = await extractPdfText(f, showOk);
         else if(ext==="txt") parsed = await extractTxt(f);
+        else if(ext==="docx") parsed = await extractDocx(f);
+        else if(ext==="html" || ext==="htm") parsed = await extractHtml(f);
         else {
           // Skip unsupported files without failing the run
           continue;
         }
-        state.docs.push({name:f.name, type:ext, pages:parsed.pages, textByPage:parsed.textByPage});
+        state.docs.push({name:f.name, type:ext, pages:parsed.pages, textByPage:parsed.textByPage, tablesByPage:parsed.tablesByPage || [], ocrByPage:parsed.ocrByPage || [],
+          headingsByPage:parsed.headingsByPage || [], pdfData: parsed.pdfData || null, cycle: guessCycleYear(f.name, parsed.textByPage), role: guessDocRole(f.name, parsed.textByPage)});
       }catch(e){
-        showErr(`Error parsing ${escapeHtml(f.name)}. If the PDF is scanned, upload a text-based PDF or a .txt export.`);
+        showErr(`Error parsing ${escapeHtml(f.name)}. If the PDF is scanned and OCR failed, upload a text-based PDF or a .txt export.`);
         console.error(e);
       }
     }
 
     if(!state.docs.length){
-      showErr("No supported files were parsed. Please upload text-based PDFs or .txt files.");
+      showErr("No supported files were parsed. Please upload text-based PDFs, Word (.docx), HTML, or .txt files.");
       return;
     }
 
-    // Scan
-    for(const d of state.docs){ scanDoc(d); }
-    state.chnaEval = state.docs.map(evalDocForElements);
-    computeMateriality();
-    buildOpportunities();
-    state.selectedOpp = state.opportunities[0] || null;
-
-    document.getElementById("docs_count").textContent = state.docs.length;
-    document.getElementById("ev_count").textContent = state.evidence.length;
-
-    renderTransportSpotlight();
-    renderTier1();
-    renderEvidence();
-    renderTier2();
+    reanalyze();
 
     // Ensure charts render even if user is not currently on the chart tab
     window.setTimeout(()=>{
@@ -973,8 +4218,15 @@ document.getElementById("btn_process").addEventListener("click", async ()=>{
       try{ if(chartTrend) chartTrend.resize(); }catch(e){}
     }, 80);
 
-    showOk(`Processed ${state.docs.length} document(s). Evidence hits: ${state.evidence.length}.`);
-    if(state.evidence.length===0){
+    const ocrPages = state.docs.flatMap(d=>d.ocrByPage||[]).filter(Boolean);
+    const ocrRead = ocrPages.filter(o=>o.confidence!=null);
+    const ocrLow = ocrRead.filter(o=>o.confidence < OCR_CONFIG.lowConfidence).length;
+    const lowHits = state.evidence.filter(e=>e.lowConfidence).length;
+    showOk(`Processed ${state.docs.length} document(s). Evidence hits: ${state.evidence.length - lowHits}${lowHits ? ` (+${lowHits} low-confidence held for review)` : ""}.` +
+      (ocrRead.length ? ` OCR applied to ${ocrRead.length} scanned page(s)${ocrLow ? ` (${ocrLow} low-confidence)` : ""}.` : ""));
+    if(ocrPages.length > ocrRead.length){
+      showErr(`${ocrPages.length - ocrRead.length} image-only page(s) were found but the local OCR engine (vendor/tesseract) could not be loaded, so they could not be read.`);
+    }else if(state.evidence.length===0){
       showErr("Documents were parsed, but no recognizable CHNA signals were detected. This often happens with scanned PDFs (images). Try exporting to text or uploading a .txt version.");
     }
   }catch(e){
@@ -1003,6 +4255,549 @@ if(_btn_autofill){
   });
 }
 
+// Structured survey-table import: pick file -> map columns -> import rows
+let _structTable = null, _structFile = "";
+const STRUCT_FIELDS = [
+  {id:"map_indicator", key:"indicator", guess:/indicator|measure|question|topic/i},
+  {id:"map_segment", key:"segment", guess:/segment|group|subgroup|category|demographic|^age/i},
+  {id:"map_value", key:"value", guess:/value|percent|pct|%|rate/i},
+  {id:"map_n", key:"n", guess:/^n$|count|sample|respondents|base/i},
+  {id:"map_page", key:"page", guess:/page|source/i}
+];
+const _struct_input = document.getElementById("struct_input");
+if(_struct_input){
+  _struct_input.addEventListener("change", async ()=>{
+    clearErr();
+    const f = (_struct_input.files || [])[0];
+    _structTable = null;
+    if(!f) return;
+    try{
+      _structTable = await readTableFile(f);
+      _structFile = f.name;
+    }catch(e){
+      console.error(e);
+      showErr(`Could not read ${escapeHtml(f.name)} as a CSV/XLSX table.`);
+      return;
+    }
+    const header = (_structTable[0] || []).map(h=>String(h).trim());
+    for(const fld of STRUCT_FIELDS){
+      const sel = document.getElementById(fld.id);
+      const optional = fld.key==="n" || fld.key==="page" || fld.key==="segment";
+      sel.innerHTML = (optional ? `<option value="-1">(not mapped)</option>` : "") +
+        header.map((h,i)=>`<option value="${i}">${escapeHtml(h || "Column "+(i+1))}</option>`).join("");
+      const g = header.findIndex(h=>fld.guess.test(h));
+      if(g>=0) sel.value = String(g);
+    }
+    document.getElementById("struct_map").style.display = "flex";
+    document.getElementById("struct_status").textContent = `${_structTable.length-1} data row(s) in ${f.name}. Check the column mapping, then import.`;
+  });
+
+  document.getElementById("btn_struct_import").addEventListener("click", ()=>{
+    clearErr();
+    if(!_structTable || _structTable.length<2){
+      showErr("Choose a CSV/XLSX survey table with a header row first.");
+      return;
+    }
+    const map = {};
+    for(const fld of STRUCT_FIELDS){ map[fld.key] = parseInt(document.getElementById(fld.id).value,10); }
+    const res = structuredRowsFromTable(_structTable, map, _structFile);
+    const cycle = guessCycleYear(_structFile);
+    for(const r of res.rows) r.cycle = cycle;
+    // re-importing the same file replaces its earlier rows
+    state.structured = state.structured.filter(r=>r.doc!==_structFile).concat(res.rows);
+    reanalyze();
+    document.getElementById("struct_status").textContent =
+      `${state.structured.length} structured row(s) loaded.` + (res.skipped.length ? ` Skipped (unknown indicator or value): ${res.skipped.slice(0,8).join(", ")}${res.skipped.length>8 ? "…" : ""}` : "");
+    showOk(`Imported ${res.rows.length} row(s) from ${escapeHtml(_structFile)} into Tier 1 findings.`);
+  });
+
+  document.getElementById("btn_struct_clear").addEventListener("click", ()=>{
+    state.structured = [];
+    reanalyze();
+    document.getElementById("struct_status").textContent = "No survey tables imported.";
+    showOk("Structured rows cleared.");
+  });
+}
+
+// Benchmark reference file: replaces any previously loaded benchmarks
+const _bench_input = document.getElementById("bench_input");
+if(_bench_input){
+  _bench_input.addEventListener("change", async ()=>{
+    clearErr();
+    const f = (_bench_input.files || [])[0];
+    if(!f) return;
+    let res;
+    try{
+      res = benchmarksFromTable(await readTableFile(f), f.name);
+    }catch(e){
+      console.error(e);
+      showErr(`Could not read benchmarks from ${escapeHtml(f.name)}: ${escapeHtml(e.message || String(e))}.`);
+      return;
+    }
+    state.benchmarks = res.rows;
+    if(state.docs.length || state.structured.length) reanalyze();
+    document.getElementById("bench_status").textContent =
+      `${res.rows.length} benchmark row(s) from ${f.name}.` + (res.skipped.length ? ` Skipped (unknown indicator or no value): ${res.skipped.slice(0,8).join(", ")}${res.skipped.length>8 ? "…" : ""}` : "");
+    showOk(`Loaded ${res.rows.length} benchmark value(s).`);
+  });
+
+  document.getElementById("inp_bench_score").addEventListener("change", (ev)=>{
+    state.useBenchmarkGap = ev.target.checked;
+    if(state.docs.length || state.structured.length) reanalyze();
+  });
+
+  document.getElementById("btn_bench_clear").addEventListener("click", ()=>{
+    state.benchmarks = [];
+    _bench_input.value = "";
+    if(state.docs.length || state.structured.length) reanalyze();
+    document.getElementById("bench_status").textContent = "No benchmark file loaded.";
+    showOk("Benchmarks cleared.");
+  });
+}
+
+// CRA rule set: re-derives Tier 2 criteria, citations and test names; drafts read it when generated
+const _sel_ruleset = document.getElementById("sel_ruleset");
+if(_sel_ruleset){
+  state.ruleSet = loadRuleSet();
+  _sel_ruleset.innerHTML = Object.entries(CRA_RULE_SETS).map(([k, r])=>`<option value="${k}"${k===state.ruleSet ? " selected" : ""}>${escapeHtml(r.label)}</option>`).join("");
+  _sel_ruleset.addEventListener("change", ()=>{
+    state.ruleSet = _sel_ruleset.value;
+    try{ localStorage.setItem(RULESET_STORAGE_KEY, state.ruleSet); }catch(e){ console.error(e); }
+    if(state.docs.length || state.structured.length || state.manualFindings.length) reanalyze();
+    showOk(`CRA rule set: ${escapeHtml(ruleSetLabel())}.`);
+  });
+}
+
+// Assessment-area geography files: AA list, tract income levels, ZIP-to-tract crosswalk
+function renderGeoStatus(){
+  const {aa, tracts, zips, files} = state.geo;
+  const parts = [];
+  if(files.aa) parts.push(`AA: ${aa.filter(a=>a.type==="county").length} county / ${aa.filter(a=>a.type==="tract").length} tract entries (${files.aa}).`);
+  if(files.tracts){
+    const list = Object.values(tracts);
+    parts.push(`Tracts: ${list.length} (${list.filter(t=>LMI_LEVELS.includes(t.level)).length} LMI) from ${files.tracts}.`);
+  }
+  if(files.zips) parts.push(`ZIP crosswalk: ${Object.keys(zips).length} ZIPs (${files.zips}).`);
+  document.getElementById("geo_status").textContent = parts.length ? parts.join(" ") : "No assessment area loaded; Tier 2 uses a default attribution of 70.";
+}
+
+if(document.getElementById("geo_status")){
+  const loaders = {
+    aa_input: {slot:"aa", read:(rows)=>{ const r = aaFromTable(rows); state.geo.aa = r.entries; return r; }},
+    tract_input: {slot:"tracts", read:(rows)=>{ const r = tractsFromTable(rows); state.geo.tracts = r.tracts; return r; }},
+    zip_input: {slot:"zips", read:(rows)=>{ const r = zipCrosswalkFromTable(rows); state.geo.zips = r.zips; return r; }}
+  };
+  for(const [id, l] of Object.entries(loaders)){
+    const input = document.getElementById(id);
+    input.addEventListener("change", async ()=>{
+      clearErr();
+      const f = (input.files || [])[0];
+      if(!f) return;
+      let res;
+      try{
+        res = l.read(await readTableFile(f));
+      }catch(e){
+        console.error(e);
+        showErr(`Could not read ${escapeHtml(f.name)}: ${escapeHtml(e.message || String(e))}.`);
+        return;
+      }
+      state.geo.files[l.slot] = f.name;
+      if(state.docs.length || state.structured.length || state.manualFindings.length) reanalyze();
+      renderGeoStatus();
+      renderBeneficiaryLog();
+      showOk(`Loaded ${escapeHtml(f.name)}.` + (res.skipped.length ? ` Skipped ${res.skipped.length} row(s) without a usable geography.` : ""));
+    });
+  }
+  document.getElementById("btn_geo_clear").addEventListener("click", ()=>{
+    state.geo = {aa:[], tracts:{}, zips:{}, files:{}};
+    for(const id of Object.keys(loaders)) document.getElementById(id).value = "";
+    if(state.docs.length || state.structured.length || state.manualFindings.length) reanalyze();
+    renderGeoStatus();
+    renderBeneficiaryLog();
+    showOk("Assessment area geography cleared.");
+  });
+  renderGeoStatus();
+}
+
+// Tier 3 beneficiary log: status line plus the rows that need cleanup
+function renderBeneficiaryLog(){
+  const status = document.getElementById("benlog_status");
+  const tbl = document.getElementById("tbl_benlog_issues");
+  if(!status || !tbl) return;
+  if(!state.benLog){
+    status.textContent = "No beneficiary log loaded; CRA outputs use the typed LMI and AA shares.";
+    tbl.innerHTML = "";
+    return;
+  }
+  const log = beneficiaryLogFromTable(state.benLog.table);
+  const pct = (x)=>x==null ? "—" : (x*100).toFixed(1)+"%";
+  status.textContent = `${state.benLog.file}: ${fmtInt(log.trips)} trips, ${fmtInt(log.beneficiaries)} unique beneficiaries` +
+    (log.tripsPerBeneficiary!=null ? ` (${log.tripsPerBeneficiary.toFixed(1)} trips each)` : "") +
+    `; LMI ${pct(log.lmiShare)}, AA ${log.aaShare==null ? "not measured (no assessment area loaded)" : pct(log.aaShare)}.` +
+    (log.issues.length ? ` ${log.issues.length} row issue(s) listed below.` : " No rows need cleanup.");
+  if(!log.issues.length){ tbl.innerHTML = ""; return; }
+  const MAX = 200;
+  let html = "<tr><th>Row</th><th>Beneficiary</th><th>Issue</th><th>Counted</th></tr>";
+  for(const x of log.issues.slice(0, MAX)){
+    html += `<tr><td class="mono">${x.row}</td><td class="mono">${escapeHtml(x.id || "—")}</td><td>${escapeHtml(x.reason)}</td>
+      <td class="small">${x.counted ? `Yes — ${escapeHtml(x.counted)}` : "No"}</td></tr>`;
+  }
+  if(log.issues.length>MAX) html += `<tr><td colspan="4" class="small">…and ${log.issues.length-MAX} more (full list in the exported report).</td></tr>`;
+  tbl.innerHTML = html;
+}
+
+if(document.getElementById("benlog_status")){
+  const input = document.getElementById("benlog_input");
+  const refresh = ()=>{ renderBeneficiaryLog(); if(state.model?.roi_parity) render_roi(); };
+  input.addEventListener("change", async ()=>{
+    clearErr();
+    const f = (input.files || [])[0];
+    if(!f) return;
+    let table;
+    try{
+      table = await readTableFile(f);
+      beneficiaryLogFromTable(table);
+    }catch(e){
+      console.error(e);
+      showErr(`Could not read ${escapeHtml(f.name)}: ${escapeHtml(e.message || String(e))}.`);
+      return;
+    }
+    state.benLog = {file:f.name, table};
+    refresh();
+    showOk(`Loaded beneficiary log ${escapeHtml(f.name)}.`);
+  });
+  document.getElementById("btn_benlog_clear").addEventListener("click", ()=>{
+    state.benLog = null;
+    input.value = "";
+    refresh();
+    showOk("Beneficiary log cleared.");
+  });
+  renderBeneficiaryLog();
+}
+
+// Analyst review queue
+const _tbl_review = document.getElementById("tbl_review");
+if(_tbl_review){
+  Object.assign(state, loadReviews());
+  const reviewerEl = document.getElementById("inp_reviewer");
+  try{ reviewerEl.value = localStorage.getItem(REVIEWER_STORAGE_KEY) || ""; }catch(e){ console.error(e); }
+  reviewerEl.addEventListener("change", ()=>{
+    try{ localStorage.setItem(REVIEWER_STORAGE_KEY, reviewerEl.value.trim()); }catch(e){ console.error(e); }
+  });
+
+  const _afterReview = (err, msg)=>{
+    if(err){ showErr(escapeHtml(err)); return; }
+    clearErr();
+    reanalyze();
+    showOk(msg);
+  };
+
+  _tbl_review.addEventListener("click", (ev)=>{
+    const btn = ev.target.closest("[data-review-action]");
+    if(!btn) return;
+    const tr = btn.closest("tr");
+    const field = (cls)=>{ const el = tr.querySelector(cls); return el ? el.value : ""; };
+    const action = btn.dataset.reviewAction;
+    const err = reviewAction(action, tr.dataset.reviewId, {value:field(".rv-value"), segment:field(".rv-segment"), note:field(".rv-note")});
+    _afterReview(err, `Review saved (${action}).`);
+  });
+
+  document.getElementById("btn_review_accept_all").addEventListener("click", ()=>{
+    const pending = state.candidates.filter(f=>f.review==="pending");
+    if(!pending.length){ showOk("No pending findings."); return; }
+    const note = document.getElementById("rv_bulk_note").value;
+    let err = null;
+    for(const f of pending){ err = reviewAction("accept", f.id, {note}); if(err) break; }
+    _afterReview(err, `Accepted ${pending.length} pending finding(s).`);
+  });
+
+  document.getElementById("btn_review_add").addEventListener("click", ()=>{
+    const err = reviewAction("add", null, {
+      key: document.getElementById("rv_add_key").value,
+      segment: document.getElementById("rv_add_segment").value,
+      value: document.getElementById("rv_add_value").value,
+      note: document.getElementById("rv_add_note").value
+    });
+    if(!err) for(const id of ["rv_add_segment","rv_add_value","rv_add_note"]) document.getElementById(id).value = "";
+    _afterReview(err, "Analyst finding added.");
+  });
+  renderReviewQueue();
+}
+
+// Source viewer: any element carrying data-src-doc (evidence rows, materiality refs, draft citations) opens it
+document.addEventListener("click", (ev)=>{
+  const link = ev.target.closest ? ev.target.closest("[data-src-doc]") : null;
+  if(!link) return;
+  openSourceViewer(link.dataset.srcDoc, parseInt(link.dataset.srcPage,10), link.dataset.srcSnip);
+});
+if(document.getElementById("source_viewer")){
+  document.getElementById("viewer_close").addEventListener("click", closeSourceViewer);
+  document.getElementById("viewer_prev").addEventListener("click", ()=>{
+    if(_viewer.doc && _viewer.page>1){ _viewer.page--; renderSourceViewer(); }
+  });
+  document.getElementById("viewer_next").addEventListener("click", ()=>{
+    if(_viewer.doc && _viewer.page<(_viewer.doc.pages||1)){ _viewer.page++; renderSourceViewer(); }
+  });
+  document.addEventListener("keydown", (ev)=>{ if(ev.key==="Escape" && _viewer.doc) closeSourceViewer(); });
+}
+
+// CHNA cycle tags: editing a year re-runs the analysis with the new prior/current split
+const _tbl_doc_cycles = document.getElementById("tbl_doc_cycles");
+if(_tbl_doc_cycles){
+  _tbl_doc_cycles.addEventListener("change", (ev)=>{
+    const role = ev.target.closest(".doc-role");
+    if(role){
+      const d = state.docs[parseInt(role.dataset.ref,10)];
+      if(d) d.role = role.value;
+      reanalyze();
+      showOk(role.value==="companion" ? "Companion file: it joins the latest CHNA cycle on or before its year." : "Document counts as a CHNA and defines its cycle.");
+      return;
+    }
+    const inp = ev.target.closest(".cycle-year");
+    if(!inp) return;
+    const v = parseInt(inp.value,10);
+    const year = (isNaN(v) || v<1990 || v>2100) ? null : v;
+    if(inp.dataset.kind==="doc"){
+      const d = state.docs[parseInt(inp.dataset.ref,10)];
+      if(d) d.cycle = year;
+    }else{
+      for(const r of state.structured){ if(r.doc===inp.dataset.ref) r.cycle = year; }
+    }
+    reanalyze();
+    showOk(year==null ? "Cycle tag cleared; source counts toward the current cycle." : `Cycle set to ${year}.`);
+  });
+}
+
+// Population denominators: analyst entries persist in this browser and re-score the findings
+if(document.getElementById("tbl_populations")){
+  state.populations.manual = loadPopulations();
+  const savePopulations = (manual)=>{
+    state.populations.manual = manual;
+    try{ localStorage.setItem(POPULATION_STORAGE_KEY, JSON.stringify(manual)); }catch(e){ console.error(e); }
+    if(state.docs.length || state.structured.length || state.manualFindings.length) reanalyze();
+    else renderPopulations();
+  };
+  document.getElementById("btn_pop_save").addEventListener("click", ()=>{
+    const manual = {};
+    for(const inp of document.querySelectorAll("#tbl_populations input[data-pop-segment]")){
+      const raw = inp.value.trim().replace(/,/g,"");
+      if(!raw) continue;
+      const v = Number(raw);
+      if(!isFinite(v) || v<=0){ showErr(`Population for ${escapeHtml(inp.dataset.popSegment)} must be a positive number.`); return; }
+      manual[inp.dataset.popSegment] = Math.round(v);
+    }
+    savePopulations(manual);
+    clearErr();
+    showOk(`Population denominators saved (${Object.keys(manual).length} analyst entr${Object.keys(manual).length===1 ? "y" : "ies"}).`);
+  });
+  document.getElementById("btn_pop_clear").addEventListener("click", ()=>{
+    savePopulations({});
+    showOk("Analyst population entries cleared; extracted values apply.");
+  });
+  renderPopulations();
+}
+
+// Materiality weight profiles: switching, saving or deleting a profile re-scores everything
+if(document.getElementById("mw_fields")){
+  state.materiality = loadMaterialityProfiles();
+  const rescore = ()=>{
+    saveMaterialityProfiles();
+    renderMaterialityWeights();
+    if(state.docs.length || state.structured.length || state.manualFindings.length) reanalyze();
+  };
+  document.getElementById("mw_profile").addEventListener("change", (e)=>{
+    state.materiality.active = e.target.value;
+    rescore();
+    showOk(`Materiality profile “${state.materiality.active}” applied.`);
+  });
+  document.getElementById("mw_save").addEventListener("click", ()=>{
+    const name = document.getElementById("mw_name").value.trim();
+    if(!name){ showErr("Name the profile before saving it."); return; }
+    if(name==="Default"){ showErr("“Default” is the built-in profile; save your weights under another name."); return; }
+    const entered = {};
+    for(const inp of document.querySelectorAll("#mw_fields input[data-weight]")) entered[inp.dataset.weight] = inp.value.trim();
+    const {weights, error} = validateWeights(entered);
+    if(error){ showErr(escapeHtml(error)); return; }
+    state.materiality.profiles[name] = weights;
+    state.materiality.active = name;
+    rescore();
+    clearErr();
+    showOk(`Materiality profile “${name}” saved and applied.`);
+  });
+  document.getElementById("mw_delete").addEventListener("click", ()=>{
+    const name = state.materiality.active;
+    if(name==="Default") return;
+    delete state.materiality.profiles[name];
+    state.materiality.active = "Default";
+    rescore();
+    showOk(`Profile “${name}” deleted; Default weights applied.`);
+  });
+  document.getElementById("mw_reset").addEventListener("click", ()=>{
+    for(const inp of document.querySelectorAll("#mw_fields input[data-weight]")) inp.value = MATERIALITY_DEFAULTS[inp.dataset.weight];
+  });
+  document.getElementById("mw_step").addEventListener("change", renderSensitivity);
+  renderMaterialityWeights();
+  renderSensitivity();
+}
+
+// 501(r) compliance calendar: settings persist in this browser; any edit recomputes the deadlines
+if(document.getElementById("tbl_calendar")){
+  state.calendar = loadCalendar();
+  const fields = {facility:"cal_facility", fyMonth:"cal_fy_month", chnaDate:"cal_chna_date", isDate:"cal_is_date",
+    priorChnaDate:"cal_prior_chna_date", filed990:"cal_990_filed", leadDays:"cal_lead_days", ext990:"cal_990_ext"};
+  for(const [k, id] of Object.entries(fields)){
+    const el = document.getElementById(id);
+    if(el.type==="checkbox") el.checked = !!state.calendar[k];
+    else el.value = state.calendar[k];
+  }
+  const updateCalendar = ()=>{
+    for(const [k, id] of Object.entries(fields)){
+      const el = document.getElementById(id);
+      state.calendar[k] = el.type==="checkbox" ? el.checked : el.value.trim();
+    }
+    try{ localStorage.setItem(CALENDAR_STORAGE_KEY, JSON.stringify(state.calendar)); }catch(e){ console.error(e); }
+    renderCalendar();
+    renderScheduleH();
+    return computeCalendar(state.calendar);
+  };
+  for(const id of Object.values(fields)) document.getElementById(id).addEventListener("change", updateCalendar);
+
+  document.getElementById("btn_cal_save").addEventListener("click", ()=>{
+    const {items, errors} = updateCalendar();
+    if(errors.length){ showErr(escapeHtml(errors.join(" "))); return; }
+    clearErr();
+    showOk(`Calendar updated: ${items.filter(it=>it.status==="overdue").length} overdue item(s).`);
+  });
+
+  document.getElementById("btn_cal_ics").addEventListener("click", ()=>{
+    const {errors} = updateCalendar();
+    if(errors.length){ showErr(escapeHtml(errors.join(" "))); return; }
+    const {ics, count} = calendarIcs(state.calendar);
+    if(!count){ showErr("No open deadlines to export. Enter the CHNA adoption date first."); return; }
+    downloadBlob(new Blob([ics], {type:"text/calendar"}), "chna_501r_deadlines.ics");
+    clearErr();
+    showOk(`Exported ${count} deadline(s) to .ics.`);
+  });
+  renderCalendar();
+}
+
+// Schedule H worksheet exports: CSV always, Excel through SheetJS when it loaded
+if(document.getElementById("tbl_schedule_h")){
+  document.getElementById("btn_sh_csv").addEventListener("click", ()=>{
+    const {taxYearEnd, aoa} = scheduleHTable();
+    const cell = (v)=>{ const t = String(v==null ? "" : v); return /[",\r\n]/.test(t) ? `"${t.replace(/"/g,'""')}"` : t; };
+    downloadBlob(new Blob(["\ufeff" + aoa.map(r=>r.map(cell).join(",")).join("\r\n")], {type:"text/csv"}), `schedule_h_part_v_b_${taxYearEnd}.csv`);
+    showOk("Schedule H worksheet exported (CSV).");
+  });
+  document.getElementById("btn_sh_xlsx").addEventListener("click", ()=>{
+    if(typeof XLSX === "undefined"){ showErr("Excel export needs the SheetJS library; use Export CSV instead."); return; }
+    const {taxYearEnd, aoa} = scheduleHTable();
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.aoa_to_sheet(aoa);
+    ws["!cols"] = [{wch:7},{wch:60},{wch:24},{wch:10},{wch:24},{wch:60},{wch:50}];
+    XLSX.utils.book_append_sheet(wb, ws, "Part V Section B");
+    XLSX.writeFile(wb, `schedule_h_part_v_b_${taxYearEnd}.xlsx`);
+    showOk("Schedule H worksheet exported (Excel).");
+  });
+  renderScheduleH();
+}
+
+// ------------------------------
+// Disparity taxonomy editor (persisted in localStorage; feeds scanDoc, computeMateriality, buildOpportunities)
+// ------------------------------
+function _taxonomyRow(d){
+  const oppOptions = `<option value="">(none)</option>` + Object.entries(OPPORTUNITY_TEMPLATES)
+    .map(([k,t])=>`<option value="${k}"${k===(d.opp||"") ? " selected" : ""}>${escapeHtml(t.opp.split(" — ")[0])}</option>`).join("");
+  return `<tr data-key="${escapeHtml(d.key||"")}">
+      <td><input class="tx-label" type="text" value="${escapeHtml(d.label)}"/></td>
+      <td><input class="tx-keywords" type="text" value="${escapeHtml((d.keywords||[]).join(", "))}"/></td>
+      <td><input class="tx-metric" type="text" value="${escapeHtml(d.metric||"")}"/></td>
+      <td><select class="tx-opp">${oppOptions}</select></td>
+      <td><input class="tx-amplify" type="checkbox" style="width:auto;"${d.amplify ? " checked" : ""}/></td>
+      <td><button class="danger tx-remove" type="button">Remove</button></td>
+    </tr>`;
+}
+
+function renderTaxonomyEditor(list){
+  const tbl = document.getElementById("tbl_taxonomy");
+  if(!tbl) return;
+  tbl.innerHTML = "<tr><th>Indicator</th><th>Keywords (comma-separated)</th><th>Metric label</th><th>CRA opportunity</th><th>Amplify</th><th></th></tr>" +
+    list.map(_taxonomyRow).join("");
+}
+
+function _readTaxonomyEditor(){
+  const rows = Array.from(document.querySelectorAll("#tbl_taxonomy tr[data-key]"));
+  const taken = new Set();
+  const list = [], errors = [];
+  rows.forEach((tr, i)=>{
+    const label = tr.querySelector(".tx-label").value.trim();
+    const keywords = tr.querySelector(".tx-keywords").value.split(",").map(k=>k.trim()).filter(Boolean);
+    const metric = tr.querySelector(".tx-metric").value.trim();
+    if(!label && !keywords.length) return; // blank row
+    if(!label || !keywords.length){ errors.push(`row ${i+1} needs a label and at least one keyword`); return; }
+    let key = tr.dataset.key;
+    if(!key || taken.has(key)){
+      const base = label.toLowerCase().replace(/[^a-z0-9]+/g,"_").replace(/^_|_$/g,"") || "indicator";
+      key = base;
+      for(let n=2; taken.has(key); n++) key = `${base}_${n}`;
+    }
+    taken.add(key);
+    list.push({
+      key, label, keywords,
+      metric: metric || `% reporting ${label.toLowerCase()}`,
+      opp: tr.querySelector(".tx-opp").value,
+      amplify: tr.querySelector(".tx-amplify").checked
+    });
+  });
+  return {list, errors};
+}
+
+function _applyTaxonomy(list){
+  DISPARITIES = list;
+  renderTaxonomyEditor(DISPARITIES);
+  if(state.docs.length || state.structured.length) reanalyze();
+}
+
+if(document.getElementById("tbl_taxonomy")){
+  const tbl = document.getElementById("tbl_taxonomy");
+  renderTaxonomyEditor(DISPARITIES);
+  tbl.addEventListener("click", (ev)=>{
+    const btn = ev.target.closest(".tx-remove");
+    if(btn) btn.closest("tr").remove();
+  });
+
+  // append in place so rows still being filled in (not yet valid) keep what was typed
+  document.getElementById("btn_tax_add").addEventListener("click", ()=>{
+    const rows = tbl.querySelectorAll("tr");
+    rows[rows.length-1].insertAdjacentHTML("afterend", _taxonomyRow({key:"", label:"", keywords:[], metric:"", opp:"", amplify:false}));
+  });
+
+  document.getElementById("btn_tax_save").addEventListener("click", ()=>{
+    clearErr();
+    const {list, errors} = _readTaxonomyEditor();
+    if(errors.length){ showErr("Taxonomy not saved: " + escapeHtml(errors.join("; ")) + "."); return; }
+    if(!list.length){ showErr("Taxonomy not saved: keep at least one indicator."); return; }
+    try{
+      localStorage.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(list));
+    }catch(e){
+      console.error(e);
+      showErr("Could not persist the taxonomy in this browser; changes apply to this session only.");
+    }
+    _applyTaxonomy(list);
+    showOk(`Taxonomy saved (${list.length} indicators).`);
+  });
+
+  document.getElementById("btn_tax_reset").addEventListener("click", ()=>{
+    clearErr();
+    try{
+      localStorage.removeItem(TAXONOMY_STORAGE_KEY);
+      localStorage.removeItem(TAXONOMY_LEGACY_KEY);
+    }catch(e){ console.error(e); }
+    _applyTaxonomy(loadTaxonomy());
+    showOk("Taxonomy restored to defaults.");
+  });
+}
+
 const _btn_run = document.getElementById("btn_run");
 if(_btn_run){ _btn_run.addEventListener("click", runTier3); }
 // Live UI: keep coverage readout updated
@@ -1016,9 +4811,9 @@ if(covEl && covRead){
 
 // Initial render placeholders
 renderTransportSpotlight();
-document.getElementById("tbl_materiality").innerHTML = "<tr><th>Disparity</th><th>Segment</th><th>Magnitude</th><th>Δ Concentration</th><th>Prominence</th><th>Score</th><th>Recommendation</th><th>Evidence</th></tr><tr><td colspan='8'>Upload documents and click Process Files.</td></tr>";
-document.getElementById("tbl_evidence").innerHTML = "<tr><th>Disparity</th><th>Snippet</th><th>Doc</th><th>Page</th></tr><tr><td colspan='4'>—</td></tr>";
-document.getElementById("tbl_cra").innerHTML = "<tr><th>Opportunity</th><th>CRA test mapping</th><th>Criterion satisfied</th><th>Strength</th><th>Score</th><th>Scope guidance</th><th>Application packet checklist</th></tr><tr><td colspan='7'>—</td></tr>";
+document.getElementById("tbl_materiality").innerHTML = MATERIALITY_HEAD + `<tr><td colspan='${MATERIALITY_COLS}'>Upload documents and click Process Files.</td></tr>`;
+document.getElementById("tbl_evidence").innerHTML = EVIDENCE_HEAD + `<tr><td colspan='${EVIDENCE_COLS}'>—</td></tr>`;
+document.getElementById("tbl_cra").innerHTML = "<tr><th>Opportunity</th><th>CRA test mapping</th><th>Criterion satisfied</th><th>Strength</th><th>Score</th><th>AA Attribution</th><th>Scope guidance</th><th>Application packet checklist</th></tr><tr><td colspan='8'>—</td></tr>";
 if(document.getElementById("tbl_chna_gaps")) document.getElementById("tbl_chna_gaps").innerHTML = "<tr><th>Document</th><th>CHNA score</th><th>IS score</th><th>Written comments</th><th>Public availability</th><th>Top gaps (auto)</th><th>Evidence</th></tr><tr><td colspan=\"7\">—</td></tr>";
 if(document.getElementById("chna_gap_recs")) document.getElementById("chna_gap_recs").textContent = "Upload CHNA/IS documents and click Process Files.";
 
@@ -1046,7 +4841,7 @@ function topEvidenceLines(maxLines=4){
   }
   const others = state.findings.filter(f=>f.key!=="transport").slice(0, maxLines);
   for(const f of others){
-    lines.push(`- ${f.disparity} (${f.segment}): ${fmtPct(f.magnitude)} (evidence: ${f.evidenceRef||"—"})`);
+    lines.push(`- ${f.disparity} (${f.segment}): ${fmtPct(f.magnitude)}${f.affected!=null ? `, ≈${fmtInt(f.affected)} people` : ""} (evidence: ${f.evidenceRef||"—"})`);
   }
   return lines.join("\n");
 }
@@ -1078,11 +4873,29 @@ function appPacketChecklist(kind){
     "Workflow documentation (referral pathways; intake criteria)",
     "Referral counts and closed-loop outcomes"
   ];
+  const housing = [
+    "Affordability evidence (rent/income restrictions ≤80% AMI, LIHTC regulatory agreement, or rents vs AMI schedule)",
+    "Tenant income certifications or other LMI occupancy documentation",
+    "Loan/investment documents and project location relative to the AA"
+  ];
+  const financial = [
+    "Counseling session logs (date; topic; client income band; ZIP)",
+    "Medical-debt relief records (accounts resolved; amounts; eligibility method)",
+    "Counselor qualifications and curriculum (financial services expertise)"
+  ];
+  const smalldollar = [
+    "Product terms and pricing (APR, fees, amount, term) and ability-to-repay underwriting",
+    "Origination data by borrower income and geography (LMI share)",
+    "Repayment, renewal and complaint monitoring"
+  ];
   let extra = [];
   if(kind==="nmt") extra = nmt;
   if(kind==="food") extra = food;
   if(kind==="care") extra = care;
-  return common.concat(extra).map(x=>`- ${x}`).join("\n");
+  if(kind==="housing") extra = housing;
+  if(kind==="financial") extra = financial;
+  if(kind==="smalldollar") extra = smalldollar;
+  return common.concat(extra, CRA_RULE_SETS[state.ruleSet].checklist).map(x=>`- ${x}`).join("\n");
 }
 
 function renderCrosswalkTable(opportunity){
@@ -1099,7 +4912,76 @@ function renderCrosswalkTable(opportunity){
 function draftHeader(tone, projectName){
   const title = projectName ? projectName : "CRA‑Aligned Health Access Initiative";
   const toneLine = tone==="bank" ? "Bank CRA File Draft" : (tone==="hospital" ? "Hospital Internal Approval Draft" : "Joint Bank–Hospital Draft");
-  return `${title}\n${toneLine}\nGenerated: ${new Date().toISOString()}\n`;
+  return `${title}\n${toneLine}\nCRA rule set: ${ruleSetLabel()}\nGenerated: ${new Date().toISOString()}\n`;
+}
+
+// CHNA/IS Compliance Addendum: one entry per IRS element, pre-filled from the best hit across the
+// current-cycle documents (with page citation) or left as a marked fill-in where the element is missing.
+function complianceAddendum(header){
+  const evals = currentCycleEval();
+  if(!evals.length){
+    return `${header}\nCHNA/IS Compliance Addendum unavailable: process the CHNA and Implementation Strategy documents first.\n`;
+  }
+  const fillIn = (prompt)=>`    >>> FILL IN: ${prompt}\n    ____________________________________________________________\n    ____________________________________________________________`;
+  const counts = {strong:0, weak:0, absent:0};
+  const part = (letter, title, elements)=>{
+    const lines = elements.map((el, i)=>{
+      const b = bestElementHit(el.id);
+      const h = b ? b.hit : {strength:"absent"};
+      counts[h.strength]++;
+      const id = `${letter}${i+1}. ${el.label}`;
+      if(h.strength==="absent") return `${id} — MISSING\n${fillIn(el.fill)}`;
+      const where = `${b.doc} p.${h.page}${h.section ? `, section “${h.section}”` : ""}`;
+      const status = h.strength==="strong" ? "DOCUMENTED" : `PARTIALLY DOCUMENTED: ${h.reason}`;
+      return `${id} — ${status}\n    Source: ${where}\n    Supporting text: “${h.snippet}”` +
+        (h.strength==="strong" ? "" : `\n${fillIn("Expand in a headed section of its own: " + el.fill)}`);
+    });
+    return `${letter}. ${title}\n\n${lines.join("\n\n")}`;
+  };
+
+  const partA = part("A", "CHNA documentation (Treas. Reg. §1.501(r)-3(b)(6))", CHNA_ELEMENTS);
+  const partB = part("B", "Implementation Strategy (Treas. Reg. §1.501(r)-3(c))", IS_ELEMENTS);
+  const partC = part("C", "Written comments on the most recent CHNA and IS", WRITTEN_COMMENT_ELEMENTS);
+
+  const pub = evals.find(d=>d.publicScore===100);
+  const partD = pub
+    ? `D. Widely available to the public — DOCUMENTED\n    Source: ${pub.doc} p.${pub.publicPage}\n    Supporting text: “${pub.publicSnippet}”\n    Confirm the URL: __________________________________________`
+    : `D. Widely available to the public — MISSING\n${fillIn("Give the web address where the CHNA and IS are posted, the posting date, and how to request a paper copy without charge.")}`;
+
+  const L = state.linkage;
+  const gaps = L ? L.needs.filter(n=>n.status==="gap") : [];
+  let partE = "E. Significant needs not addressed in the Implementation Strategy\n\n";
+  if(!L || !L.needs.length) partE += "    No prioritized needs were extracted from the CHNA; list them in A5 and match each to an IS action or rationale.";
+  else if(!gaps.length) partE += `    Each of the ${L.needs.length} prioritized need(s) has an IS action or a stated rationale.`;
+  else partE += gaps.map(n=>`${n.label} — NO ACTION OR RATIONALE (identified in ${n.doc} p.${n.page})\n${fillIn("Describe the actions the hospital will take for this need, or explain why it does not intend to address it (e.g. resource constraints, other organizations better positioned).")}`).join("\n\n");
+
+  const docs = evals.map(d=>`- ${d.doc}: CHNA ${d.isCHNA ? d.chnaScore + "/100" : "—"}, IS ${d.isIS ? d.isScore + "/100" : "—"}${d.sectioned ? "" : " (no headings detected)"}`).join("\n");
+  return `${header}
+CHNA / Implementation Strategy Compliance Addendum
+
+Purpose: supplements the hospital facility's CHNA and Implementation Strategy so each documentation element
+required under IRC §501(r)(3) is stated, with a page citation, in one place.
+
+Documents reviewed:
+${docs}
+
+Summary: ${counts.strong} element(s) documented, ${counts.weak} partially documented, ${counts.absent} missing.
+Complete every FILL IN section before this addendum is adopted and posted.
+
+${partA}
+
+${partB}
+
+${partC}
+
+${partD}
+
+${partE}
+
+Adoption:
+- Approved by the authorized body of the hospital facility: ____________________  Date: __________
+- Posted with the CHNA / IS at: ____________________________________________
+`;
 }
 
 function generateDraft(draftType, oppKind, tone){
@@ -1114,6 +4996,9 @@ function generateDraft(draftType, oppKind, tone){
     "No Tier 2 opportunities available yet. Process documents first.\n";
 
   const evidence = topEvidenceLines(4);
+  const tpl = OPPORTUNITY_TEMPLATES[opp ? opp.kind : "nmt"] || OPPORTUNITY_TEMPLATES.nmt;
+
+  if(draftType==="compliance_addendum") return complianceAddendum(header);
 
   // Tier 3 model inclusion when available
   let modelBlock = "Tier 3 (cost & ROI): Not yet run. Run Tier 3 to populate cost baseline and break‑even assumptions.\n";
@@ -1144,7 +5029,7 @@ ${orgLines ? orgLines + "\n" : ""}
 ${evidence}
 
 3) Why this is responsive (what changes)
-- The activity is targeted to the population segment(s) with the largest documented access disruption (e.g., seniors where transportation barrier is amplified).
+- The activity is targeted to the population segment(s) with the largest documented need: ${tpl.target}.
 - The implementation design includes traceable eligibility, service logs, and geography attribution to support exam defensibility.
 
 4) Eligibility criterion satisfied (explicit)
@@ -1236,15 +5121,14 @@ Selected intervention:
 ${oppLine}
 
 Implementation summary:
-- Target segment(s): older adults prioritized when transportation barriers are amplified; additional eligibility defined by LMI method and service area.
-- Delivery model: partner/brokered NEMT with documented ride logs and monitoring.
+- Target segment(s): ${tpl.target}.
+- Delivery model: ${tpl.delivery}.
 
 Budget and evaluation:
 ${modelBlock}
 
 KPIs:
-- Completed rides
-- Prevented disruptions (missed appointments)
+${tpl.kpis.map(k=>`- ${k}`).join("\n")}
 - Beneficiary counts and geography attribution
 - Monthly monitoring with corrective action triggers
 `;
@@ -1538,6 +5422,7 @@ function wireDraftUI(){
     const tone = document.getElementById("draft_tone").value;
     const txt = generateDraft(type, kind, tone);
     document.getElementById("draft_preview").textContent = txt;
+    renderDraftSources(txt);
   });
 
   document.getElementById("btn_copy_draft").addEventListener("click", async ()=>{
@@ -1552,16 +5437,8 @@ function wireDraftUI(){
 
   document.getElementById("btn_download_draft").addEventListener("click", ()=>{
     const txt = document.getElementById("draft_preview").textContent || "";
-    const blob = new Blob([txt], {type:"text/plain"});
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
     const type = document.getElementById("draft_type").value;
-    a.download = `cra_application_${type}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    downloadBlob(new Blob([txt], {type:"text/plain"}), `cra_application_${type}.txt`);
   });
 }
 
@@ -1595,7 +5472,9 @@ function roi_inputs(){
     over: _normRate(parseFloat(document.getElementById("b_over").value)),
     lmi: _normRate(parseFloat(document.getElementById("c_lmi").value)),
     aa: _normRate(parseFloat(document.getElementById("c_aa").value)),
-    bank: parseFloat(document.getElementById("c_bank").value) || 0
+    bank: parseFloat(document.getElementById("c_bank").value) || 0,
+    target: parseFloat(document.getElementById("c_target")?.value) || 0,
+    log: state.benLog ? beneficiaryLogFromTable(state.benLog.table) : null
   };
 }
 
@@ -1610,15 +5489,23 @@ function roi_calc(inp){
   const net_benefit = gross_rev - marginal_cost - total_program_cost;
   const be_trip_max = inp.netrev - inp.margc;
 
-  const trips = prevented;
-  const lmi_trips = trips * inp.lmi;
-  const aa_trips = trips * inp.aa;
+  // a beneficiary log replaces the modeled trip volume and the assumed LMI / AA shares with counts;
+  // without an assessment area loaded, AA trips still fall back to the typed AA share
+  const log = inp.log && inp.log.trips ? inp.log : null;
+  const trips = log ? log.trips : prevented;
+  const lmi_trips = log ? log.lmiTrips : trips * inp.lmi;
+  const aa_trips = log && log.aaTrips!=null ? log.aaTrips : trips * inp.aa;
+  const beneficiaries = log ? log.beneficiaries : null;
+  const trips_per_beneficiary = log ? log.tripsPerBeneficiary : null;
   const bank_per_lmi = (lmi_trips===0) ? 0 : (inp.bank/lmi_trips);
   const bank_share_cost = (total_program_cost===0) ? 0 : (inp.bank/total_program_cost);
+  const trips_per_target = inp.target ? trips/inp.target : null;
 
-  const narrative = `Estimated ${Math.round(lmi_trips).toLocaleString()} LMI trips and ${Math.round(trips).toLocaleString()} essential visits enabled annually within the Assessment Area.`;
+  const narrative = log
+    ? `Logged ${Math.round(trips).toLocaleString()} trips for ${beneficiaries.toLocaleString()} unique beneficiaries (${trips_per_beneficiary.toFixed(1)} per beneficiary), including ${Math.round(lmi_trips).toLocaleString()} LMI trips and ${Math.round(aa_trips).toLocaleString()} trips within the Assessment Area.`
+    : `Estimated ${Math.round(lmi_trips).toLocaleString()} LMI trips and ${Math.round(trips).toLocaleString()} essential visits enabled annually within the Assessment Area.`;
   return {transport_no_shows, prevented, gross_rev, marginal_cost, transport_cost, overhead_cost, total_program_cost, net_benefit, be_trip_max,
-          trips, lmi_trips, aa_trips, bank_per_lmi, bank_share_cost, narrative};
+          trips, lmi_trips, aa_trips, bank_per_lmi, bank_share_cost, trips_per_target, beneficiaries, trips_per_beneficiary, logged: !!log, narrative};
 }
 
 function coding_uplift(preventedVisits, allVisits){
@@ -1784,15 +5671,24 @@ function render_roi(){
   }
 
   // CRA outputs
+  const log = out.logged ? inp.log : null;
   const craTxt =
-`Trips delivered (round trips): ${Math.round(out.trips).toLocaleString()}
-LMI trips: ${Math.round(out.lmi_trips).toLocaleString()}
-AA trips: ${Math.round(out.aa_trips).toLocaleString()}
-
+`Source: ${log ? `beneficiary log ${state.benLog.file} (${log.rows.toLocaleString()} rows; ${log.issues.length} cleanup issue(s))` : "modeled — typed LMI and AA shares"}
+Trips delivered (round trips): ${Math.round(out.trips).toLocaleString()}
+LMI trips: ${Math.round(out.lmi_trips).toLocaleString()}${log ? ` (${(log.lmiShare*100).toFixed(1)}%)` : ""}
+AA trips: ${Math.round(out.aa_trips).toLocaleString()}${log ? (log.aaShare!=null ? ` (${(log.aaShare*100).toFixed(1)}%)` : " (typed AA share — load the assessment area to count)") : ""}
+${log ? `${log.lmiAaTrips!=null ? `LMI trips within the AA: ${Math.round(log.lmiAaTrips).toLocaleString()}
+` : ""}Unique beneficiaries: ${log.beneficiaries.toLocaleString()} (${log.lmiBeneficiaries.toLocaleString()} LMI)
+Trips per beneficiary: ${out.trips_per_beneficiary.toFixed(1)}
+LMI basis: ${log.methods.flag} rows flagged, ${log.methods.income} by income % AMI, ${log.methods.tract} by tract income level
+` : ""}
 Bank annual contribution: $${inp.bank.toLocaleString()}
 Bank contribution per LMI trip: $${out.bank_per_lmi.toFixed(0)}
 Share of total program cost funded by Bank: ${(out.bank_share_cost*100).toFixed(1)}%
-
+${inp.target ? `Target population (est. people affected): ${Math.round(inp.target).toLocaleString()}
+Trips per person in target population: ${out.trips_per_target.toFixed(1)}
+Bank contribution per person in target population: $${(inp.bank/inp.target).toFixed(2)}
+` : ""}
 Narrative-ready summary:
 ${out.narrative}`;
   document.getElementById("cra_box").textContent = craTxt;
@@ -1943,10 +5839,11 @@ Operational Outputs
 - On-time pickup rate: _______
 
 Beneficiary & Scope (CRA)
-- % LMI: _______   (method: _______)
+- % LMI: ${m && m.logged ? (m.lmi_trips/m.trips*100).toFixed(1)+"%   (method: beneficiary log)" : "_______   (method: _______)"}
 - LMI trips: ${m ? Math.round(m.lmi_trips).toLocaleString() : "—"}
-- % within AA: _______
+- % within AA: ${m && m.logged ? (m.aa_trips/m.trips*100).toFixed(1)+"%" : "_______"}
 - AA trips: ${m ? Math.round(m.aa_trips).toLocaleString() : "—"}
+- Unique beneficiaries: ${m && m.logged ? m.beneficiaries.toLocaleString()+" ("+m.trips_per_beneficiary.toFixed(1)+" trips each)" : "_______"}
 
 Financial (Hospital)
 - Gross revenue recaptured: ${m ? fmtMoney(m.gross_rev) : "—"}